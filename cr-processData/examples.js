@@ -0,0 +1,74 @@
+/**
+ * examples.js for the 'process-csv' Cloud Run Job
+ *
+ * Picks few-shot examples for a batch from the tenant's past human
+ * corrections (the `corrections` collection maintained by
+ * updateRowClassification). A correction is relevant to a row when the
+ * words of their AI columns overlap; only the tenant's most relevant
+ * corrections for the batch are sent with the prompt.
+ */
+
+// Minimum word overlap (Jaccard) for a correction to count as similar to a row.
+const MIN_SIMILARITY = 0.2;
+
+/**
+ * Normalizes the values of a row's AI columns into a set of words. Numbers
+ * (amounts, dates, invoice ids) are dropped, as they rarely decide the
+ * classification.
+ */
+function tokenize(values) {
+    const tokens = new Set();
+    for (const value of Object.values(values || {})) {
+        // Split into letters and digits of any script, as the row's search_tokens are.
+        const words = String(value ?? '').normalize('NFKC').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+        for (const word of words) {
+            if (word.length > 1 && !/^\p{N}+$/u.test(word)) tokens.add(word);
+        }
+    }
+    return tokens;
+}
+
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Chooses up to `count` corrections for a batch, ranked by their best
+ * similarity to any row of the batch. `rowInputs` maps row index to the
+ * row's AI columns; corrections carry the `tokens` of their own AI input.
+ * Resolves to the chosen examples and, for every row, the ids of the
+ * examples similar to it.
+ */
+function selectExamples(corrections, rowInputs, count) {
+    const examplesByRow = new Map();
+    if (count <= 0 || corrections.length === 0) return { examples: [], examplesByRow };
+
+    const rowTokens = [...rowInputs].map(([index, input]) => [index, tokenize(input)]);
+    const scored = [];
+    for (const correction of corrections) {
+        const scores = rowTokens.map(([index, tokens]) => [index, similarity(tokens, correction.tokens)]);
+        const best = Math.max(...scores.map(([, score]) => score));
+        if (best >= MIN_SIMILARITY) scored.push({ correction, best, scores });
+    }
+    scored.sort((a, b) => b.best - a.best);
+
+    const chosen = scored.slice(0, count);
+    for (const { correction, scores } of chosen) {
+        for (const [index, score] of scores) {
+            if (score < MIN_SIMILARITY) continue;
+            if (!examplesByRow.has(index)) examplesByRow.set(index, []);
+            examplesByRow.get(index).push(correction.id);
+        }
+    }
+    return { examples: chosen.map(({ correction }) => correction), examplesByRow };
+}
+
+module.exports = {
+    tokenize,
+    selectExamples,
+};
@@ -2,215 +2,1540 @@
  * index.js for the 'process-csv' Cloud Run Job (Complete & Ready for Deployment)
  *
  * This version is designed to be executed by a Cloud Workflow. It receives
- * the GCS bucket and file name as command-line arguments. It streams the file,
- * normalizes data based on tenant mappings, processes rows in batches with
- * Vertex AI, and bulk-writes the results to Firestore.
+ * the GCS bucket and file name as command-line arguments. It loads the
+ * tenant's pipeline configuration, streams the file (CSV/TSV, XLSX, JSON or
+ * NDJSON, see readers.js), sends only the
+ * pipeline's source columns to the AI provider (see providers.js) in batches,
+ * classifies each row into the pipeline's classification targets, and
+ * bulk-writes the results to Firestore, stamping each row with the taxonomy
+ * version that classified it.
+ *
+ * The model is the pipeline's `aiModel`, else the tenant's `aiModel`
+ * setting, else the AI_MODEL environment variable. Replies are requested as
+ * structured output against a JSON schema of the valid pools. Set
+ * AI_PROVIDER=stub to run without network access or credentials to Vertex AI.
+ *
+ * After every committed batch it checkpoints the last written row on the job
+ * document; a restarted run (or `--action=resume`, see the manageJob
+ * function) skips the rows that were already written. The same update
+ * refreshes the job's `progress` map: rows read, classified and failed,
+ * batches done, throughput and an estimated total and finish time.
+ *
+ * It can also be started with `--action=reclassify` to re-run the rows of a
+ * finished job whose cost pool or sub-pool was removed or changed in a newer
+ * taxonomy version, or with `--action=reprocess` to re-run the rows a filter
+ * selects (see reprocessJob). Every run checks between batches for a
+ * cancellation requested through the manageJob function, and for the
+ * tenant's monthly quotas: a run that would exceed one stops before the
+ * batch, and a file being processed is left with status 'quota_exceeded'
+ * and its checkpoint, so it can be resumed once the quota allows. Each
+ * committed batch adds its rows, AI calls and tokens to the tenant's usage
+ * for the month (see usage.js).
+ * Every finished run rebuilds the job's `summary`: rows and amounts per
+ * pool and sub-pool and a confidence histogram (see summary.js).
+ * Runs starting, completing, failing or being cancelled are queued as
+ * webhook events for the tenant's endpoints (`job.started`, `job.completed`,
+ * `job.failed`, `job.cancelled`); the deliverWebhooks function sends them.
+ * The user who uploaded the file is emailed when it finishes processing and
+ * when any run fails: the job queues the email in the tenant's
+ * `notifications` collection, and the sendNotifications function sends it.
+ *
+ * The tenant's deterministic rules (see rules.js) run first: a matching row
+ * takes the rule's classification with full confidence and skips the AI.
+ * Next, rows whose AI columns were classified before are answered from the
+ * tenant's memo (`tenants/{tenantId}/memo`), which prefers human corrections
+ * over model output. Only the remaining rows are sent to the model, and its
+ * confident answers are added to the memo. Transient AI errors are retried
+ * with backoff, a request that keeps failing is split in half until the
+ * offending rows are isolated, and rows with invalid answers are re-prompted
+ * with the validation error. Rows that still fail record a `failure_reason`.
+ * Prompts include a few of the tenant's past human corrections that resemble
+ * the rows of the batch (see examples.js); the tenant's `fewShotExamples`
+ * setting controls how many.
  */
 
 const { Storage } = require('@google-cloud/storage');
-const csv = require('csv-parser');
-const { GoogleGenAI } = require('@google/genai');
 const { Firestore } = require('@google-cloud/firestore');
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const { resolveReaderOptions, readRecords } = require('./readers');
+const { tokenize, selectExamples } = require('./examples');
+const { compileRules, matchRule } = require('./rules');
+const { createProvider } = require('./providers');
+const { spendFields, summarizeRows } = require('./summary');
+const { usagePeriod, findExceededQuota, createUsageMeter } = require('./usage');
 
 // --- CONFIGURATION ---
 const BATCH_SIZE = 50; // Process 50 rows in a single AI call
 const PROJECT_ID = process.env.GCLOUD_PROJECT || 'project-clarity-463800';
 const LOCATION = 'us-central1';
-const AI_MODEL = 'gemini-2.5-flash';
 
 // Firestore paths
 const definitionsCollection = 'definitions';
 const definitionsDocument = 'hierarchical';
+const customDefinitionsDocument = 'custom';
 const tenantsCollection = 'tenants';
+const pipelinesCollection = 'pipelines';
+const correctionsCollection = 'corrections';
+const rulesCollection = 'rules';
+const memoCollection = 'memo';
+const usageCollection = 'usage';
+const webhooksCollection = 'webhooks';
+const webhookDeliveriesCollection = 'webhook_deliveries';
+const notificationsCollection = 'notifications';
+
+// Classification targets a pipeline may request, in hierarchy order.
+const SUPPORTED_TARGETS = ['cost_pool', 'cost_sub_pool'];
+
+// Tenant settings used when the tenant document does not set them (see manageTenantSettings).
+const DEFAULT_TENANT_SETTINGS = { fewShotExamples: 5, aiModel: null };
+// Most recent corrections considered when choosing few-shot examples.
+const MAX_CORRECTIONS_SCANNED = 1000;
+// Model answers below this confidence are not remembered for later jobs.
+const MEMO_MIN_CONFIDENCE = 0.85;
+// Rows keep at most this many distinct words of their original data for search.
+const MAX_SEARCH_TOKENS = 100;
+// Where memo entries come from: a reviewer's correction or a confident AI answer.
+const MEMO_SOURCES = ['human', 'ai'];
+// Rows store where their classification came from and the source's details; unused details are cleared.
+const CLASSIFICATION_SOURCES = ['rule', 'memo', 'ai'];
+// Review states of a row; the job writes every row as 'suggested' (see updateRowClassification).
+const REVIEW_STATES = ['suggested', 'reviewed', 'approved', 'rejected'];
+const NO_PROVENANCE = { rule_id: null, rule_name: null, memo_fingerprint: null, ai_model: null, ai_attempts: 0, failure_reason: null, few_shot_examples: [], few_shot_influenced: false };
+// Retries of an AI request that failed transiently (rate limit, timeout, server error) before giving up on it.
+const MAX_AI_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+// Times a row whose answer failed validation is sent back to the model with the validation error.
+const MAX_REPROMPTS = 2;
+// Webhook deliveries and queued emails are deleted by a Firestore TTL policy on `expireAt` after this long.
+const OUTBOX_TTL_MS = 30 * 24 * 60 * 60 * 1000;
 
 // --- CLIENT INITIALIZATION ---
 const storage = new Storage();
 const firestore = new Firestore();
-const genAI = new GoogleGenAI({ vertexai: true, project: PROJECT_ID, location: LOCATION });
 
 // --- HELPER FUNCTIONS ---
 
-let definitionsCache = null;
-async function getStructuredDefinitions() {
-    if (definitionsCache) {
-        return definitionsCache;
+const definitionsCache = new Map();
+
+/**
+ * Returns the head document of a taxonomy: the global standard definitions,
+ * or the tenant's own custom definitions. Immutable snapshots of every
+ * version live in its `versions` subcollection.
+ */
+function taxonomyRef(tenantId, taxonomy) {
+    return taxonomy === 'custom'
+        ? firestore.collection(tenantsCollection).doc(tenantId).collection(definitionsCollection).doc(customDefinitionsDocument)
+        : firestore.collection(definitionsCollection).doc(definitionsDocument);
+}
+
+/**
+ * Loads a version of the taxonomy a pipeline classifies against, or the
+ * current version when none is given. Resolves to { version, structuredDefs }.
+ */
+async function getStructuredDefinitions(tenantId, taxonomy = 'standard', version = null) {
+    const headRef = taxonomyRef(tenantId, taxonomy);
+    const cacheKey = `${headRef.path}@${version ?? 'current'}`;
+    if (definitionsCache.has(cacheKey)) {
+        return definitionsCache.get(cacheKey);
+    }
+    console.log(`Fetching ${taxonomy} definitions (version ${version ?? 'current'}) from Firestore: ${headRef.path}`);
+
+    const headSnap = await headRef.get();
+    if (!headSnap.exists) {
+        throw new Error(taxonomy === 'custom'
+            ? `Custom definitions not found for tenant ${tenantId}.`
+            : "Definitions document not found. Please run the upload-definitions.js script.");
+    }
+    // Taxonomies written before versioning have no currentVersion and count as version 0.
+    const currentVersion = headSnap.data().currentVersion ?? 0;
+
+    let structuredDefs;
+    if (version === null || version === currentVersion) {
+        version = currentVersion;
+        structuredDefs = headSnap.data().data || {};
+    } else {
+        const versionSnap = await headRef.collection('versions').doc(String(version)).get();
+        if (!versionSnap.exists) {
+            throw new Error(`Version ${version} of the ${taxonomy} taxonomy was not found.`);
+        }
+        structuredDefs = versionSnap.data().data || {};
+    }
+    if (Object.keys(structuredDefs).length === 0) {
+        throw new Error(`Version ${version} of the ${taxonomy} taxonomy does not define any cost pools.`);
+    }
+
+    const result = { version, structuredDefs };
+    definitionsCache.set(cacheKey, result);
+    console.log(`Loaded version ${version} with definitions for ${Object.keys(structuredDefs).length} cost pools.`);
+    return result;
+}
+
+/**
+ * Compares two taxonomy versions. Pools and sub-pools count as changed when
+ * their definition text differs.
+ */
+function diffTaxonomies(fromDefs, toDefs) {
+    const diff = { addedPools: [], removedPools: [], changedPools: [], addedSubPools: [], removedSubPools: [], changedSubPools: [] };
+    for (const pool in fromDefs) {
+        if (!toDefs[pool]) {
+            diff.removedPools.push(pool);
+            continue;
+        }
+        if (fromDefs[pool].definition !== toDefs[pool].definition) {
+            diff.changedPools.push(pool);
+        }
+        const toSubPools = new Map(toDefs[pool].sub_pools.map(sp => [sp.name, sp.definition]));
+        const fromSubPools = new Set(fromDefs[pool].sub_pools.map(sp => sp.name));
+        for (const subPool of fromDefs[pool].sub_pools) {
+            if (!toSubPools.has(subPool.name)) {
+                diff.removedSubPools.push({ pool, subPool: subPool.name });
+            } else if (toSubPools.get(subPool.name) !== subPool.definition) {
+                diff.changedSubPools.push({ pool, subPool: subPool.name });
+            }
+        }
+        for (const subPool of toDefs[pool].sub_pools) {
+            if (!fromSubPools.has(subPool.name)) {
+                diff.addedSubPools.push({ pool, subPool: subPool.name });
+            }
+        }
+    }
+    for (const pool in toDefs) {
+        if (!fromDefs[pool]) diff.addedPools.push(pool);
     }
-    console.log(`Fetching definitions from Firestore: ${definitionsCollection}/${definitionsDocument}`);
-    const docRef = firestore.collection(definitionsCollection).doc(definitionsDocument);
-    const docSnap = await docRef.get();
+    return diff;
+}
+
+/**
+ * Decides whether a stored row must be re-run after a taxonomy change.
+ * Manually edited rows keep the human's choice unless it no longer exists.
+ */
+function needsReclassification(row, diff, classificationTargets) {
+    const pool = row.cost_pool;
+    if (!pool || pool === 'Unclassified') return false;
+
+    const includeSubPools = classificationTargets.includes('cost_sub_pool');
+    const matchesSubPool = entry => entry.pool === pool && entry.subPool === row.cost_sub_pool;
 
+    if (diff.removedPools.includes(pool) || (includeSubPools && diff.removedSubPools.some(matchesSubPool))) {
+        return true;
+    }
+    if (row.manually_edited) return false;
+    return diff.changedPools.includes(pool) || (includeSubPools && diff.changedSubPools.some(matchesSubPool));
+}
+
+/**
+ * Reads the positional [BUCKET] [FILE] arguments and any `--name=value` flags.
+ */
+function parseJobArgs(argv) {
+    const positional = [];
+    const flags = {};
+    for (const arg of argv) {
+        const match = arg.match(/^--([^=]+)=(.*)$/);
+        if (match) {
+            flags[match[1]] = match[2];
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { gcsBucket: positional[0], gcsFile: positional[1], action: flags.action || 'process' };
+}
+
+/**
+ * Splits an upload path of the form `uploads/{tenantId}/{pipelineId}/{jobId}/{filename}`.
+ */
+function parseUploadPath(filePath) {
+    const pathParts = filePath.split('/');
+    if (pathParts.length < 5 || pathParts[0] !== 'uploads') {
+        throw new Error(`Invalid file path structure: ${filePath}. Expected 'uploads/{tenantId}/{pipelineId}/{jobId}/{filename}'.`);
+    }
+    return {
+        tenantId: pathParts[1],
+        pipelineId: pathParts[2],
+        jobId: pathParts[3],
+        originalFilename: pathParts.slice(4).join('/'),
+    };
+}
+
+async function getPipelineConfiguration(tenantId, pipelineId) {
+    console.log(`Fetching pipeline '${pipelineId}' for tenant ${tenantId}`);
+    const docSnap = await firestore.collection(tenantsCollection).doc(tenantId).collection(pipelinesCollection).doc(pipelineId).get();
     if (!docSnap.exists) {
-        throw new Error("Definitions document not found. Please run the upload-definitions.js script.");
+        throw new Error(`Pipeline '${pipelineId}' not found for tenant ${tenantId}.`);
     }
-    definitionsCache = docSnap.data().data;
-    console.log(`Loaded definitions for ${Object.keys(definitionsCache).length} cost pools.`);
-    return definitionsCache;
+
+    const { sourceColumnsForAI, classificationTargets, taxonomy, aiModel, amountColumn, currencyColumn, dateColumn } = docSnap.data().configuration || {};
+    if (!Array.isArray(sourceColumnsForAI) || sourceColumnsForAI.length === 0) {
+        throw new Error(`Pipeline '${pipelineId}' does not define any sourceColumnsForAI.`);
+    }
+    const targets = SUPPORTED_TARGETS.filter(target => (classificationTargets || []).includes(target));
+    if (!targets.includes('cost_pool')) {
+        throw new Error(`Pipeline '${pipelineId}' must include the cost_pool classification target.`);
+    }
+    return {
+        sourceColumnsForAI,
+        classificationTargets: targets,
+        taxonomy: taxonomy || 'standard',
+        aiModel: aiModel || null,
+        amountColumn: amountColumn || null,
+        currencyColumn: currencyColumn || null,
+        dateColumn: dateColumn || null,
+    };
 }
 
-function createBatchPrompt(rows, structuredDefs) {
+async function getTenantSettings(tenantId) {
+    const docSnap = await firestore.collection(tenantsCollection).doc(tenantId).get();
+    return { ...DEFAULT_TENANT_SETTINGS, ...(docSnap.exists ? docSnap.data().settings : {}) };
+}
+
+/**
+ * Loads the tenant's most recent human corrections that are still valid in
+ * the taxonomy version being classified against, for use as few-shot examples.
+ */
+async function loadCorrections(tenantId, pipeline, structuredDefs) {
+    const snapshot = await firestore.collection(tenantsCollection).doc(tenantId).collection(correctionsCollection)
+        .orderBy('correctedAt', 'desc')
+        .limit(MAX_CORRECTIONS_SCANNED)
+        .get();
+
+    const corrections = [];
+    snapshot.forEach(doc => {
+        const correction = doc.data();
+        if ((correction.taxonomy || 'standard') !== pipeline.taxonomy) return;
+        if (!isValidClassification(correction, structuredDefs, pipeline.classificationTargets)) return;
+        corrections.push({
+            id: doc.id,
+            ai_input: correction.ai_input,
+            cost_pool: correction.cost_pool,
+            cost_sub_pool: correction.cost_sub_pool,
+            tokens: tokenize(correction.ai_input),
+        });
+    });
+    console.log(`Loaded ${corrections.length} past corrections as few-shot candidates.`);
+    return corrections;
+}
+
+async function loadRules(tenantId, pipelineId, pipeline, structuredDefs) {
+    const snapshot = await firestore.collection(tenantsCollection).doc(tenantId).collection(rulesCollection).get();
+    const rules = compileRules(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), { pipelineId, pipeline, structuredDefs });
+    console.log(`Loaded ${rules.length} classification rules for pipeline '${pipelineId}'.`);
+    return rules;
+}
+
+/**
+ * Gathers everything a batch needs to be classified: the pipeline, the
+ * taxonomy version, the AI provider, the tenant's rules, and the tenant's
+ * correction history for few-shot examples. Memo entries recorded against a taxonomy version
+ * older than `memoMinVersion`, or from a source not in `memoSources`, are ignored.
+ */
+async function createClassificationContext(tenantId, pipelineId, pipeline, taxonomy, { memoMinVersion = null, memoSources = MEMO_SOURCES } = {}) {
+    const settings = await getTenantSettings(tenantId);
+    const fewShotExamples = Number(settings.fewShotExamples) || 0;
+    return {
+        tenantId,
+        pipeline,
+        taxonomy,
+        provider: createProvider({ model: pipeline.aiModel || settings.aiModel, project: PROJECT_ID, location: LOCATION }),
+        fewShotExamples,
+        memoMinVersion,
+        memoSources,
+        rules: await loadRules(tenantId, pipelineId, pipeline, taxonomy.structuredDefs),
+        corrections: fewShotExamples > 0 ? await loadCorrections(tenantId, pipeline, taxonomy.structuredDefs) : [],
+        usage: createUsageMeter(),
+    };
+}
+
+/**
+ * Returns only the pipeline's source columns from a parsed row.
+ */
+function selectAIColumns(rowData, sourceColumnsForAI) {
+    const selected = {};
+    for (const column of sourceColumnsForAI) {
+        if (column in rowData) {
+            selected[column] = rowData[column];
+        }
+    }
+    return selected;
+}
+
+/**
+ * The distinct lowercase words and numbers of a row's original data, stored
+ * as `search_tokens` so the review page can search rows with an indexed
+ * array-contains query. web-main tokenizes search input the same way.
+ */
+function searchTokens(rowData) {
+    const tokens = new Set();
+    for (const value of Object.values(rowData || {})) {
+        for (const token of String(value ?? '').normalize('NFKC').toLowerCase().split(/[^\p{L}\p{N}]+/u)) {
+            if (token) tokens.add(token);
+            if (tokens.size >= MAX_SEARCH_TOKENS) return [...tokens];
+        }
+    }
+    return [...tokens];
+}
+
+function normalizeMemoText(value) {
+    return String(value ?? '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fingerprints a row's AI columns for the memo: column names and values are
+ * normalized (case, whitespace) and sorted, and the taxonomy is part of the
+ * key. Rows with no text in their AI columns are never memoized.
+ */
+function memoFingerprint(taxonomy, aiInput) {
+    const pairs = Object.entries(aiInput)
+        .map(([column, value]) => [normalizeMemoText(column), normalizeMemoText(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    if (pairs.every(([, value]) => value === '')) return null;
+    return crypto.createHash('sha256').update(JSON.stringify([taxonomy, pairs])).digest('hex');
+}
+
+/**
+ * Describes the expected reply as a JSON schema: one classification per
+ * transaction, restricted to the valid pools (and each pool's own sub-pools).
+ */
+function createResponseSchema(rows, structuredDefs, pipeline) {
+    const includeSubPools = pipeline.classificationTargets.includes('cost_sub_pool');
+    const answerProperties = {
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        reasoning: { type: 'string' },
+    };
+    const classification = includeSubPools
+        ? {
+            anyOf: Object.entries(structuredDefs)
+                .filter(([, poolData]) => poolData.sub_pools.length > 0)
+                .map(([poolName, poolData]) => ({
+                    type: 'object',
+                    properties: {
+                        cost_pool: { type: 'string', enum: [poolName] },
+                        cost_sub_pool: { type: 'string', enum: poolData.sub_pools.map(subPool => subPool.name) },
+                        ...answerProperties,
+                    },
+                    required: ['cost_pool', 'cost_sub_pool', 'confidence', 'reasoning'],
+                })),
+        }
+        : {
+            type: 'object',
+            properties: {
+                cost_pool: { type: 'string', enum: Object.keys(structuredDefs) },
+                ...answerProperties,
+            },
+            required: ['cost_pool', 'confidence', 'reasoning'],
+        };
+
+    const transactionIds = rows.map(row => `transaction_${row.index}`);
+    return {
+        type: 'object',
+        $defs: { classification },
+        properties: Object.fromEntries(transactionIds.map(id => [id, { $ref: '#/$defs/classification' }])),
+        required: transactionIds,
+    };
+}
+
+function createBatchPrompt(rows, structuredDefs, pipeline, examples = [], rejections = new Map()) {
+    const includeSubPools = pipeline.classificationTargets.includes('cost_sub_pool');
     const rowTexts = rows.map((row, index) => 
-        `"transaction_${row.index}": ${JSON.stringify(row.data)}`
+        `"transaction_${row.index}": ${JSON.stringify(selectAIColumns(row.data, pipeline.sourceColumnsForAI))}`
     ).join(',\n    ');
+
+    let examplesText = '';
+    if (examples.length > 0) {
+        examplesText = 'Here are past transactions from this organization whose classification was corrected by a human reviewer. Follow them as precedents for similar transactions:\n';
+        for (const example of examples) {
+            const answer = includeSubPools
+                ? { cost_pool: example.cost_pool, cost_sub_pool: example.cost_sub_pool }
+                : { cost_pool: example.cost_pool };
+            examplesText += `- ${JSON.stringify(example.ai_input)} => ${JSON.stringify(answer)}\n`;
+        }
+    }
+
+    let rejectionsText = '';
+    const rejectedRows = rows.filter(row => rejections.has(row.index));
+    if (rejectedRows.length > 0) {
+        rejectionsText = 'Your previous answers for these transactions were rejected. Answer them again, using only the valid values listed above:\n';
+        for (const row of rejectedRows) {
+            const { answer, error } = rejections.get(row.index);
+            rejectionsText += `- "transaction_${row.index}": you answered ${JSON.stringify(answer ?? null)}, which was rejected because ${error}\n`;
+        }
+    }
     
-    let definitionsText = 'Here is the hierarchy of valid cost pools and their sub-pools:\n';
+    let definitionsText = includeSubPools
+        ? 'Here is the hierarchy of valid cost pools and their sub-pools:\n'
+        : 'Here are the valid cost pools:\n';
     for (const poolName in structuredDefs) {
         const poolData = structuredDefs[poolName];
         definitionsText += `\nCost Pool: "${poolName}" (Definition: ${poolData.definition})\n`;
+        if (!includeSubPools) continue;
         definitionsText += `For this Cost Pool, the only valid Cost Sub-Pools are:\n`;
         poolData.sub_pools.forEach(subPool => {
             definitionsText += `- "${subPool.name}": which means "${subPool.definition}"\n`;
         });
     }
 
+    const task = includeSubPools
+        ? 'you must assign a cost pool and sub-pool based on the strict hierarchy provided below'
+        : 'you must assign a cost pool from the list provided below';
+    const responseFields = pipeline.classificationTargets.map(target => `"${target}": "..."`).join(', ');
+
     return `
     You are an expert financial analyst. You will be given a JSON object containing multiple financial transactions.
-    For each transaction, you must assign a cost pool and sub-pool based on the strict hierarchy provided below.
+    For each transaction, ${task}.
     
     ${definitionsText}
 
+    ${examplesText}
+    ${rejectionsText}
     Analyze the following transactions:
     {
       ${rowTexts}
     }
 
     Respond with ONLY a single, valid JSON object where each key is the transaction ID (e.g., "transaction_0")
-    and the value is another JSON object in the format {"cost_pool": "...", "cost_sub_pool": "...", "confidence": 0.xx, "reasoning": "..."}.
+    and the value is another JSON object in the format {${responseFields}, "confidence": 0.xx, "reasoning": "..."}.
     `;
 }
 
-async function processBatch(batch, structuredDefs, tenantId, jobId, bulkWriter) {
-    console.log(`Processing batch of ${batch.length} rows starting with index ${batch[0].index}...`);
-    const prompt = createBatchPrompt(batch, structuredDefs);
-    
-    let aiResponse;
+/**
+ * Explains why an answer is not a valid classification, or returns null.
+ */
+function classificationError(result, structuredDefs, classificationTargets) {
+    if (!result || typeof result !== 'object') {
+        return 'No classification was returned for this transaction.';
+    }
+    if (!result.cost_pool || !structuredDefs[result.cost_pool]) {
+        return `"${result.cost_pool}" is not a valid cost pool.`;
+    }
+    if (classificationTargets.includes('cost_sub_pool')
+        && !structuredDefs[result.cost_pool].sub_pools.some(sp => sp.name === result.cost_sub_pool)) {
+        return `"${result.cost_sub_pool}" is not a valid sub-pool of cost pool "${result.cost_pool}".`;
+    }
+    return null;
+}
+
+function isValidClassification(result, structuredDefs, classificationTargets) {
+    return classificationError(result, structuredDefs, classificationTargets) === null;
+}
+
+function isTransientError(error) {
+    return TRANSIENT_STATUS_CODES.includes(error.status ?? error.code)
+        || TRANSIENT_NETWORK_CODES.includes(error.code)
+        || error.name === 'AbortError';
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calls the provider, retrying transient failures with exponential backoff
+ * and jitter. Any other failure, such as an unparseable reply, is thrown at
+ * once. `onAttempt` is called before every call.
+ */
+async function generateWithRetry(provider, request, onAttempt) {
+    for (let retry = 0; ; retry++) {
+        onAttempt();
+        try {
+            return await provider.generateJson(request);
+        } catch (e) {
+            if (retry >= MAX_AI_RETRIES || !isTransientError(e)) throw e;
+            const delay = RETRY_BASE_DELAY_MS * 2 ** retry + Math.floor(Math.random() * RETRY_BASE_DELAY_MS);
+            console.warn(`AI request failed (${e.message}). Retrying in ${delay} ms...`);
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Sends rows to the model. When a request fails for good, the rows are
+ * split in half and each half is sent on its own, until the rows that break
+ * the request are isolated. `buildRequest(rows)` returns the provider
+ * request for a set of rows; `attempts` counts the calls each row was part
+ * of. Every call, and the tokens of every reply, go to the context's usage
+ * meter. Resolves to a Map of row index to { result } or { error }.
+ */
+async function requestClassifications(rows, context, buildRequest, attempts) {
     try {
-        const result = await genAI.models.generateContent({ model: AI_MODEL, contents: prompt });
-        const jsonText = result.text.trim().replace(/```json|```/g, '');
-        aiResponse = JSON.parse(jsonText);
+        const { data, usage } = await generateWithRetry(context.provider, buildRequest(rows), () => {
+            context.usage.recordCall();
+            for (const row of rows) attempts.set(row.index, (attempts.get(row.index) || 0) + 1);
+        });
+        context.usage.recordTokens(usage);
+        return new Map(rows.map(row => [row.index, { result: data?.[`transaction_${row.index}`] }]));
     } catch (e) {
-        console.error("Failed to call AI or parse its response for a batch:", e);
-        aiResponse = {}; // Ensure aiResponse is an object to prevent crashes
+        if (rows.length === 1) {
+            console.error(`AI request failed for row ${rows[0].index}:`, e);
+            return new Map([[rows[0].index, { error: `The AI request failed: ${e.message}` }]]);
+        }
+        const middle = Math.ceil(rows.length / 2);
+        console.warn(`AI request for ${rows.length} rows failed (${e.message}). Splitting it in two.`);
+        const first = await requestClassifications(rows.slice(0, middle), context, buildRequest, attempts);
+        const second = await requestClassifications(rows.slice(middle), context, buildRequest, attempts);
+        return new Map([...first, ...second]);
     }
+}
+
+/**
+ * Classifies a batch of rows with a single AI call. Resolves to a Map of
+ * row index -> classification; invalid or missing answers come back as
+ * Unclassified.
+ */
+async function classifyBatch(batch, context) {
+    const { pipeline, taxonomy: { structuredDefs } } = context;
+    const includeSubPools = pipeline.classificationTargets.includes('cost_sub_pool');
+    const classifications = new Map();
 
+    // 1. Rules decide first.
+    const unmatchedRows = [];
     for (const row of batch) {
-        const result = aiResponse[`transaction_${row.index}`];
+        const rule = matchRule(context.rules, row.data);
+        if (!rule) {
+            unmatchedRows.push(row);
+            continue;
+        }
+        classifications.set(row.index, {
+            ...NO_PROVENANCE,
+            cost_pool: rule.cost_pool,
+            cost_sub_pool: includeSubPools ? rule.cost_sub_pool : 'Unclassified',
+            confidence: 1.0,
+            reasoning: `Matched rule '${rule.name}': ${rule.column} ${rule.operator} "${rule.pattern}".`,
+            classification_source: 'rule',
+            rule_id: rule.id,
+            rule_name: rule.name,
+        });
+    }
+
+    // 2. Then the memo of earlier classifications of the same AI columns.
+    const memoCollectionRef = firestore.collection(tenantsCollection).doc(context.tenantId).collection(memoCollection);
+    const fingerprints = new Map();
+    for (const row of unmatchedRows) {
+        const fingerprint = memoFingerprint(pipeline.taxonomy, selectAIColumns(row.data, pipeline.sourceColumnsForAI));
+        if (fingerprint) fingerprints.set(row.index, fingerprint);
+    }
+    const memoEntries = new Map();
+    if (fingerprints.size > 0) {
+        const snapshots = await firestore.getAll(...[...new Set(fingerprints.values())].map(fp => memoCollectionRef.doc(fp)));
+        for (const snap of snapshots) {
+            if (snap.exists) memoEntries.set(snap.id, snap.data());
+        }
+    }
+
+    const aiRows = [];
+    for (const row of unmatchedRows) {
+        const fingerprint = fingerprints.get(row.index);
+        const entry = fingerprint && memoEntries.get(fingerprint);
+        const usable = entry
+            && context.memoSources.includes(entry.source)
+            && isValidClassification(entry, structuredDefs, pipeline.classificationTargets)
+            && (context.memoMinVersion === null || (entry.taxonomyVersion ?? 0) >= context.memoMinVersion);
+        if (!usable) {
+            aiRows.push(row);
+            continue;
+        }
+        classifications.set(row.index, {
+            ...NO_PROVENANCE,
+            cost_pool: entry.cost_pool,
+            cost_sub_pool: includeSubPools ? entry.cost_sub_pool : 'Unclassified',
+            confidence: entry.source === 'human' ? 1.0 : entry.confidence,
+            reasoning: entry.source === 'human'
+                ? `Same as an earlier transaction corrected by a reviewer (${entry.correctedBy}).`
+                : `Same as an earlier transaction. ${entry.reasoning}`,
+            classification_source: 'memo',
+            memo_fingerprint: fingerprint,
+        });
+    }
+    console.log(`Processing batch of ${batch.length} rows starting with index ${batch[0].index}: ${batch.length - unmatchedRows.length} by rules, ${unmatchedRows.length - aiRows.length} from memo, ${aiRows.length} for the AI...`);
+    if (aiRows.length === 0) {
+        return classifications;
+    }
+
+    // 3. The model classifies the rest; rows with invalid answers are asked again.
+    const rowInputs = new Map(aiRows.map(row => [row.index, selectAIColumns(row.data, pipeline.sourceColumnsForAI)]));
+    const { examples, examplesByRow } = selectExamples(context.corrections, rowInputs, context.fewShotExamples);
+    const attempts = new Map();
+    const outcomes = new Map();
+    const rejections = new Map();
+    let pendingRows = aiRows;
+    for (let round = 0; pendingRows.length > 0; round++) {
+        const responses = await requestClassifications(pendingRows, context, rows => ({
+            prompt: createBatchPrompt(rows, structuredDefs, pipeline, examples, rejections),
+            schema: createResponseSchema(rows, structuredDefs, pipeline),
+            inputs: Object.fromEntries(rows.map(row => [`transaction_${row.index}`, rowInputs.get(row.index)])),
+        }), attempts);
+
+        const retryRows = [];
+        for (const row of pendingRows) {
+            const response = responses.get(row.index);
+            const error = response.error || classificationError(response.result, structuredDefs, pipeline.classificationTargets);
+            outcomes.set(row.index, error ? { error } : response);
+            // Failed requests were already retried and isolated; only invalid answers are worth re-prompting.
+            if (error && !response.error && round < MAX_REPROMPTS) {
+                rejections.set(row.index, { answer: response.result, error });
+                retryRows.push(row);
+            }
+        }
+        if (retryRows.length > 0) {
+            console.warn(`Re-prompting ${retryRows.length} rows with invalid answers.`);
+        }
+        pendingRows = retryRows;
+    }
+
+    const memoWrites = firestore.batch();
+    let memoWriteCount = 0;
+    for (const row of aiRows) {
+        const { result, error } = outcomes.get(row.index);
         
         let classification = {
+            ...NO_PROVENANCE,
             cost_pool: 'Unclassified',
             cost_sub_pool: 'Unclassified',
             confidence: 0.0,
-            reasoning: 'AI response was missing, invalid, or could not be parsed.'
+            reasoning: `The AI could not classify this row: ${error}`,
+            classification_source: 'ai',
+            ai_model: context.provider.model,
+            ai_attempts: attempts.get(row.index) || 0,
+            failure_reason: error,
         };
 
-        if (result) {
-            if (result.cost_pool && structuredDefs[result.cost_pool]) {
-                const isValidSubpool = structuredDefs[result.cost_pool].sub_pools.some(sp => sp.name === result.cost_sub_pool);
-                if (isValidSubpool) {
-                    classification = {
-                        cost_pool: result.cost_pool,
-                        cost_sub_pool: result.cost_sub_pool,
-                        confidence: result.confidence || 0.0,
-                        reasoning: result.reasoning || 'No reasoning provided.'
-                    };
-                }
+        if (!error) {
+            classification = {
+                ...NO_PROVENANCE,
+                cost_pool: result.cost_pool,
+                // Pipelines that only target cost_pool leave the sub-pool for human review.
+                cost_sub_pool: includeSubPools ? result.cost_sub_pool : 'Unclassified',
+                confidence: Number(result.confidence) || 0.0,
+                reasoning: result.reasoning || 'No reasoning provided.',
+                classification_source: 'ai',
+                ai_model: context.provider.model,
+                ai_attempts: attempts.get(row.index) || 0,
+                // Past corrections in the prompt that resemble this row.
+                few_shot_examples: examplesByRow.get(row.index) || [],
+                few_shot_influenced: examplesByRow.has(row.index),
+            };
+
+            // Remember confident answers, but never replace a human's correction.
+            const fingerprint = fingerprints.get(row.index);
+            if (fingerprint && classification.confidence >= MEMO_MIN_CONFIDENCE && memoEntries.get(fingerprint)?.source !== 'human') {
+                memoWrites.set(memoCollectionRef.doc(fingerprint), {
+                    source: 'ai',
+                    taxonomy: pipeline.taxonomy,
+                    taxonomyVersion: context.taxonomy.version,
+                    ai_input: rowInputs.get(row.index),
+                    cost_pool: classification.cost_pool,
+                    cost_sub_pool: classification.cost_sub_pool,
+                    confidence: classification.confidence,
+                    reasoning: classification.reasoning,
+                    updatedAt: Firestore.FieldValue.serverTimestamp(),
+                });
+                memoWriteCount++;
             }
         }
-        
-        const docRef = firestore.collection(tenantsCollection).doc(tenantId).collection('jobs').doc(jobId).collection('rows').doc(String(row.index));
-        bulkWriter.set(docRef, {
-            original_data: row.data,
+        classifications.set(row.index, classification);
+    }
+    if (memoWriteCount > 0) {
+        await memoWrites.commit();
+    }
+    return classifications;
+}
+
+/**
+ * Counts a batch's classifications by where they came from, and the rows
+ * that could not be classified at all.
+ */
+function summarizeClassifications(classifications) {
+    const sources = Object.fromEntries(CLASSIFICATION_SOURCES.map(source => [source, 0]));
+    let unclassifiable = 0;
+    for (const classification of classifications.values()) {
+        sources[classification.classification_source]++;
+        if (classification.failure_reason) unclassifiable++;
+    }
+    return { sources, unclassifiable };
+}
+
+/**
+ * Classifies a batch and writes its rows. Resolves, with the batch's
+ * summary (see summarizeClassifications), once every row of the batch is
+ * committed, so the caller can safely checkpoint past it.
+ */
+async function processBatch(batch, context, jobDocRef, bulkWriter) {
+    const classifications = await classifyBatch(batch, context);
+    const writes = batch.map(row => bulkWriter.set(jobDocRef.collection('rows').doc(String(row.index)), {
+        original_data: row.data,
+        ...classifications.get(row.index),
+        row_index: row.index,
+        taxonomy_version: context.taxonomy.version,
+        // Written explicitly so the review page can filter on unedited rows.
+        manually_edited: false,
+        review_state: 'suggested',
+        review_state_by: null,
+        review_state_at: null,
+        search_tokens: searchTokens(row.data),
+        ...spendFields(row.data, context.pipeline),
+    }));
+    await bulkWriter.flush();
+    await Promise.all(writes);
+    return summarizeClassifications(classifications);
+}
+
+/**
+ * Re-runs stored rows, updating only the classification fields and recording
+ * each change in the row's audit trail. With `recordUnchanged`, fields that
+ * kept their value are recorded too, so every attempt shows in the trail.
+ * A re-run row is a new suggestion, so its review state returns to 'suggested'.
+ * Resolves to the batch's summary (see summarizeClassifications).
+ */
+async function reclassifyBatch(batch, context, jobDocRef, bulkWriter, changedBy, recordUnchanged = false) {
+    const classifications = await classifyBatch(batch, context);
+    const timestamp = Firestore.FieldValue.serverTimestamp();
+    for (const row of batch) {
+        const classification = classifications.get(row.index);
+        const rowDocRef = jobDocRef.collection('rows').doc(String(row.index));
+        bulkWriter.update(rowDocRef, {
             ...classification,
-            row_index: row.index,
-            confidence: Number(classification.confidence) || 0.0
+            taxonomy_version: context.taxonomy.version,
+            manually_edited: false,
+            review_state: 'suggested',
+            review_state_by: changedBy,
+            review_state_at: timestamp,
         });
+        for (const field of ['cost_pool', 'cost_sub_pool']) {
+            if (recordUnchanged || row.previous[field] !== classification[field]) {
+                bulkWriter.create(rowDocRef.collection('audit_trail').doc(), {
+                    changedBy,
+                    timestamp,
+                    field,
+                    oldValue: row.previous[field],
+                    newValue: classification[field],
+                });
+            }
+        }
+        const previousState = row.previous.review_state || 'suggested';
+        if (previousState !== 'suggested') {
+            bulkWriter.create(rowDocRef.collection('audit_trail').doc(), {
+                changedBy,
+                timestamp,
+                field: 'review_state',
+                oldValue: previousState,
+                newValue: 'suggested',
+            });
+        }
     }
+    return summarizeClassifications(classifications);
 }
 
-// --- MAIN JOB LOGIC ---
-async function main() {
-    console.log("Cloud Run Job started by Workflow.");
+/**
+ * Resolves to the cancellation requested through the manageJob function, if
+ * any. Jobs check between batches, so the batch in flight always finishes.
+ */
+async function cancellationRequested(jobDocRef) {
+    return (await jobDocRef.get()).get('cancelRequest') || null;
+}
 
-    // Read bucket and file from command-line arguments provided by the workflow
-    const args = process.argv.slice(2);
-    const gcsBucket = args[0];
-    const gcsFile = args[1];
+/**
+ * The job fields that record a honoured cancellation request.
+ */
+function cancellationUpdates(cancelRequest) {
+    return {
+        cancelRequest: Firestore.FieldValue.delete(),
+        cancelledBy: cancelRequest.requestedBy,
+        cancelledAt: Firestore.FieldValue.serverTimestamp(),
+    };
+}
 
-    if (!gcsBucket || !gcsFile) {
-        throw new Error("Missing GCS bucket or file name arguments. The job must be called with [BUCKET] [FILE].");
-    }
-    
-    const filePath = gcsFile;
-    const pathParts = filePath.split('/');
-    if (pathParts.length < 4 || pathParts[0] !== 'uploads') {
-        throw new Error(`Invalid file path structure: ${filePath}. Expected 'uploads/{tenantId}/{jobId}/{filename}'.`);
+/**
+ * Queues a webhook event for every active endpoint of the tenant that
+ * subscribes to `type` (see the manageWebhooks function). `buildData`
+ * resolves to the event's data and is only called when an endpoint
+ * subscribes. The deliverWebhooks function signs and sends the deliveries,
+ * and retries failures. A failure to queue is logged but never fails the job.
+ */
+async function enqueueWebhookEvent(tenantId, type, buildData) {
+    try {
+        const tenantRef = firestore.collection(tenantsCollection).doc(tenantId);
+        const endpoints = await tenantRef.collection(webhooksCollection).where('active', '==', true).get();
+        const subscribed = endpoints.docs.filter(endpointDoc => endpointDoc.data().events.includes(type));
+        if (subscribed.length === 0) return;
+
+        const data = await buildData();
+        const payload = JSON.stringify({ id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), tenantId, data });
+        const batch = firestore.batch();
+        for (const endpointDoc of subscribed) {
+            batch.set(tenantRef.collection(webhookDeliveriesCollection).doc(), {
+                endpointId: endpointDoc.id,
+                url: endpointDoc.data().url,
+                type,
+                payload,
+                status: 'pending',
+                attempts: 0,
+                attemptLog: [],
+                nextAttemptAt: Firestore.Timestamp.now(),
+                createdAt: Firestore.FieldValue.serverTimestamp(),
+                expireAt: Firestore.Timestamp.fromMillis(Date.now() + OUTBOX_TTL_MS),
+            });
+        }
+        await batch.commit();
+    } catch (e) {
+        console.error(`Could not queue the '${type}' webhook event for tenant ${tenantId}:`, e);
     }
+}
 
-    const tenantId = pathParts[1];
-    const jobId = pathParts[2];
-    const originalFilename = pathParts[3];
+/**
+ * Queues a job lifecycle webhook event with the job's current state.
+ */
+async function emitJobEvent(jobDocRef, type, details = {}) {
+    await enqueueWebhookEvent(jobDocRef.parent.parent.id, type, async () => {
+        const job = (await jobDocRef.get()).data() || {};
+        return {
+            jobId: jobDocRef.id,
+            pipelineId: job.pipelineId || null,
+            originalFilename: job.originalFilename || null,
+            status: job.status || null,
+            totalRows: job.totalRows ?? null,
+            classificationCounts: job.classificationCounts || null,
+            unclassifiableRows: job.unclassifiableRows ?? null,
+            error: job.error || null,
+            ...details,
+        };
+    });
+}
 
-    console.log(`Starting job for Tenant: ${tenantId}, Job: ${jobId}`);
-    
-    const jobDocRef = firestore.collection(tenantsCollection).doc(tenantId).collection('jobs').doc(jobId);
-    
-    const [structuredDefs] = await Promise.all([
-        getStructuredDefinitions(),
-        jobDocRef.set({
-            id: jobId,
-            originalFilename,
+/**
+ * Queues an email about the job for the user who uploaded its file. The
+ * sendNotifications function sends it unless the user turned that email off
+ * (see the manageNotifications function). Files uploaded with an API key
+ * have no one to email. A failure to queue is logged but never fails the job.
+ */
+async function queueJobEmail(jobDocRef, type, details = {}) {
+    try {
+        const job = (await jobDocRef.get()).data() || {};
+        const uploader = job.uploadedBy;
+        if (!uploader?.uid || !uploader.email?.includes('@')) return;
+        await jobDocRef.parent.parent.collection(notificationsCollection).add({
+            type,
+            uid: uploader.uid,
+            email: uploader.email,
+            jobId: jobDocRef.id,
+            job: {
+                originalFilename: job.originalFilename || null,
+                pipelineId: job.pipelineId || null,
+                status: job.status || null,
+                totalRows: job.totalRows ?? null,
+                classificationCounts: job.classificationCounts || null,
+                unclassifiableRows: job.unclassifiableRows ?? 0,
+                unclassifiedRows: job.summary?.pools?.Unclassified?.rows ?? 0,
+                error: job.error || null,
+            },
+            ...details,
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: Firestore.Timestamp.now(),
             createdAt: Firestore.FieldValue.serverTimestamp(),
-            status: 'reading',
-        }, { merge: true })
-    ]);
+            expireAt: Firestore.Timestamp.fromMillis(Date.now() + OUTBOX_TTL_MS),
+        });
+    } catch (e) {
+        console.error(`Could not queue the '${type}' email for job ${jobDocRef.id}:`, e);
+    }
+}
+
+function usageDocRef(tenantId, period) {
+    return firestore.collection(tenantsCollection).doc(tenantId).collection(usageCollection).doc(period);
+}
+
+/**
+ * Resolves to the tenant's quota that is exhausted, or that a batch of
+ * `rows` would exceed, as `{ metric, limit, used, period }`; null while the
+ * batch may run (see usage.js). Jobs check before every batch, so a run
+ * stops at the batch that would cross a quota.
+ */
+async function quotaExceeded(tenantId, rows) {
+    const period = usagePeriod();
+    const [tenantDoc, usageDoc] = await firestore.getAll(
+        firestore.collection(tenantsCollection).doc(tenantId),
+        usageDocRef(tenantId, period),
+    );
+    const exceeded = findExceededQuota(tenantDoc.get('quotas'), usageDoc.exists ? usageDoc.data() : {}, { rows });
+    return exceeded ? { ...exceeded, period } : null;
+}
+
+/**
+ * Adds a committed batch, and the AI calls and tokens spent on it, to the
+ * tenant's usage for the current month.
+ */
+async function recordUsage(context, rows) {
+    const period = usagePeriod();
+    const { aiCalls, inputTokens, outputTokens } = context.usage.take();
+    await usageDocRef(context.tenantId, period).set({
+        period,
+        rows: Firestore.FieldValue.increment(rows),
+        batches: Firestore.FieldValue.increment(1),
+        aiCalls: Firestore.FieldValue.increment(aiCalls),
+        inputTokens: Firestore.FieldValue.increment(inputTokens),
+        outputTokens: Firestore.FieldValue.increment(outputTokens),
+        updatedAt: Firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+}
+
+/**
+ * Re-runs the stored rows that `shouldRerun` selects through reclassifyBatch,
+ * and tallies their classifications before and after so the job's
+ * classificationCounts and unclassifiableRows can be kept current. Stops
+ * before the next batch when a cancellation is requested or the batch would
+ * exceed one of the tenant's quotas.
+ */
+async function rerunRows(rowSnapshots, shouldRerun, context, jobDocRef, changedBy, recordUnchanged = false) {
+    const bulkWriter = firestore.bulkWriter();
+    const tally = {
+        rowsRerun: 0,
+        previousCounts: Object.fromEntries(CLASSIFICATION_SOURCES.map(source => [source, 0])),
+        classificationCounts: Object.fromEntries(CLASSIFICATION_SOURCES.map(source => [source, 0])),
+        previousUnclassifiable: 0,
+        unclassifiableRows: 0,
+        previousReviewStates: Object.fromEntries(REVIEW_STATES.map(state => [state, 0])),
+        cancelRequest: null,
+        quotaExceeded: null,
+    };
+    let batch = [];
+
+    const runBatch = async () => {
+        tally.cancelRequest = await cancellationRequested(jobDocRef);
+        if (tally.cancelRequest) return false;
+        tally.quotaExceeded = await quotaExceeded(context.tenantId, batch.length);
+        if (tally.quotaExceeded) return false;
+        for (const row of batch) {
+            tally.previousCounts[row.previous.classification_source || 'ai']++;
+            if (row.previous.failure_reason) tally.previousUnclassifiable++;
+            tally.previousReviewStates[row.previous.review_state || 'suggested']++;
+        }
+        const summary = await reclassifyBatch(batch, context, jobDocRef, bulkWriter, changedBy, recordUnchanged);
+        await recordUsage(context, batch.length);
+        for (const source of CLASSIFICATION_SOURCES) {
+            tally.classificationCounts[source] += summary.sources[source];
+        }
+        tally.unclassifiableRows += summary.unclassifiable;
+        tally.rowsRerun += batch.length;
+        batch = [];
+        return true;
+    };
+
+    for await (const rowSnap of rowSnapshots) {
+        const row = rowSnap.data();
+        if (!shouldRerun(row)) continue;
+        batch.push({ index: row.row_index, data: row.original_data, previous: row });
+        if (batch.length >= BATCH_SIZE && !(await runBatch())) break;
+    }
+    if (batch.length > 0 && !tally.cancelRequest && !tally.quotaExceeded) {
+        await runBatch();
+    }
+    await bulkWriter.close();
+    return tally;
+}
+
+/**
+ * The job count increments for a tally of re-run rows (see rerunRows). Jobs
+ * from before a count was recorded are left without it.
+ */
+function rerunCountUpdates(job, tally) {
+    const countUpdates = {};
+    if (job.classificationCounts) {
+        for (const source of CLASSIFICATION_SOURCES) {
+            countUpdates[`classificationCounts.${source}`] = Firestore.FieldValue.increment(tally.classificationCounts[source] - tally.previousCounts[source]);
+        }
+    }
+    if (job.unclassifiableRows !== undefined) {
+        countUpdates.unclassifiableRows = Firestore.FieldValue.increment(tally.unclassifiableRows - tally.previousUnclassifiable);
+    }
+    if (job.reviewCounts) {
+        // Every re-run row is back to 'suggested'.
+        for (const state of REVIEW_STATES) {
+            const delta = state === 'suggested' ? tally.rowsRerun - tally.previousReviewStates.suggested : -tally.previousReviewStates[state];
+            countUpdates[`reviewCounts.${state}`] = Firestore.FieldValue.increment(delta);
+        }
+    }
+    return countUpdates;
+}
+
+/**
+ * Rebuilds a job's classification summary (see summary.js) from its stored
+ * rows, reading only the fields the summary needs.
+ */
+async function computeJobSummary(jobDocRef, pipeline) {
+    const rows = jobDocRef.collection('rows')
+        .select('cost_pool', 'cost_sub_pool', 'confidence', 'amount', 'currency', 'period')
+        .stream();
+    const summary = await summarizeRows((async function* () {
+        for await (const rowDoc of rows) yield rowDoc.data();
+    })(), pipeline);
+    return { ...summary, computedAt: Firestore.FieldValue.serverTimestamp() };
+}
+
+/**
+ * Passes a stream through unchanged, reporting the size of every chunk.
+ */
+function countBytes(stream, onBytes) {
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            onBytes(chunk.length);
+            callback(null, chunk);
+        },
+    });
+    // Errors of the source are raised on the counter, which is what the reader consumes.
+    return pipeline(stream, counter, () => {});
+}
+
+/**
+ * Estimates the throughput of this run and, from the share of the file read
+ * so far, the job's total rows and finish time. A streamed file's row count
+ * is only known once it has been read to the end.
+ */
+function estimateProgress({ rowsRead, rowsCommitted, rowsThisRun, runStartedAt, bytesRead, totalBytes }) {
+    const elapsedSeconds = (Date.now() - runStartedAt) / 1000;
+    const rowsPerSecond = elapsedSeconds > 0 ? Math.round(rowsThisRun / elapsedSeconds * 100) / 100 : 0;
+    const estimatedTotalRows = bytesRead > 0 && totalBytes > 0
+        ? Math.max(rowsRead, Math.round(rowsRead * totalBytes / bytesRead))
+        : null;
+    const estimatedFinishAt = estimatedTotalRows !== null && rowsPerSecond > 0
+        ? Firestore.Timestamp.fromMillis(Date.now() + (estimatedTotalRows - rowsCommitted) / rowsPerSecond * 1000)
+        : null;
+    return { rowsPerSecond, estimatedTotalRows, estimatedFinishAt };
+}
+
+// --- MAIN JOB LOGIC ---
+/**
+ * Processes an uploaded file. When the job document holds a checkpoint from
+ * an earlier, interrupted run of the same file, rows up to the checkpoint
+ * are read but not re-classified or re-written.
+ */
+async function processFile(gcsBucket, gcsFile, jobDocRef, action) {
+    const { tenantId, pipelineId, jobId, originalFilename } = parseUploadPath(gcsFile);
+
+    console.log(`Starting job for Tenant: ${tenantId}, Pipeline: ${pipelineId}, Job: ${jobId}`);
+
+    const jobSnap = await jobDocRef.get();
+    const existingJob = jobSnap.exists ? jobSnap.data() : null;
+    if (existingJob?.status === 'completed' && action === 'process') {
+        // Duplicate trigger for a file that has already been processed.
+        console.log(`Job ${jobId} is already completed. Nothing to do.`);
+        return;
+    }
 
     const file = storage.bucket(gcsBucket).file(gcsFile);
-    const fileStream = file.createReadStream();
-    const csvStream = fileStream.pipe(csv({ bom: true, mapHeaders: ({ header }) => header.trim() }));
+    // uploadFile records the reader options (sheet, delimiter, encoding) as custom object metadata.
+    const [fileMetadata] = await file.getMetadata();
+    let checkpoint = existingJob?.checkpoint || null;
+    if (checkpoint && checkpoint.sourceGeneration !== String(fileMetadata.generation)) {
+        console.warn(`The source file changed since the last checkpoint. Starting job ${jobId} from the first row.`);
+        checkpoint = null;
+    }
+    const totalBytes = Number(fileMetadata.size) || 0;
+    const { uploadedByUid, uploadedBy } = fileMetadata.metadata || {};
+
+    await jobDocRef.set({
+        id: jobId,
+        originalFilename,
+        pipelineId,
+        gcsBucket,
+        gcsFile,
+        ...(existingJob ? {} : { createdAt: Firestore.FieldValue.serverTimestamp() }),
+        ...(uploadedByUid ? { uploadedBy: { uid: uploadedByUid, email: uploadedBy || null } } : {}),
+        status: checkpoint ? 'resuming' : 'reading',
+        error: Firestore.FieldValue.delete(),
+        quotaExceeded: Firestore.FieldValue.delete(),
+        // Counts cover committed rows only, so a resumed run keeps them.
+        ...(checkpoint ? {} : {
+            classificationCounts: Object.fromEntries(CLASSIFICATION_SOURCES.map(source => [source, 0])),
+            unclassifiableRows: 0,
+            reviewCounts: Object.fromEntries(REVIEW_STATES.map(state => [state, 0])),
+        }),
+        progress: checkpoint
+            ? { finishedAt: null, estimatedFinishAt: null, totalBytes }
+            : {
+                rowsRead: 0,
+                rowsClassified: 0,
+                rowsFailed: 0,
+                batchesDone: 0,
+                bytesRead: 0,
+                totalBytes,
+                estimatedTotalRows: null,
+                rowsPerSecond: 0,
+                startedAt: Firestore.FieldValue.serverTimestamp(),
+                finishedAt: null,
+                estimatedFinishAt: null,
+            },
+    }, { merge: true });
+    await emitJobEvent(jobDocRef, 'job.started', { run: action, resumedAfterRow: checkpoint ? checkpoint.lastCommittedRow : null });
+
+    // A resumed job keeps the configuration, model and taxonomy version its committed rows were classified with.
+    const pipeline = checkpoint
+        ? {
+            sourceColumnsForAI: existingJob.sourceColumnsForAI,
+            classificationTargets: existingJob.classificationTargets,
+            taxonomy: existingJob.taxonomy || 'standard',
+            aiModel: existingJob.aiModel || null,
+            amountColumn: existingJob.amountColumn || null,
+            currencyColumn: existingJob.currencyColumn || null,
+            dateColumn: existingJob.dateColumn || null,
+        }
+        : await getPipelineConfiguration(tenantId, pipelineId);
+    const taxonomy = await getStructuredDefinitions(tenantId, pipeline.taxonomy, checkpoint ? (existingJob.taxonomyVersion ?? 0) : null);
+    const readerOptions = resolveReaderOptions(originalFilename, fileMetadata.metadata || {});
+    const context = await createClassificationContext(tenantId, pipelineId, pipeline, taxonomy);
+    await jobDocRef.update({
+        sourceColumnsForAI: pipeline.sourceColumnsForAI,
+        classificationTargets: pipeline.classificationTargets,
+        taxonomy: pipeline.taxonomy,
+        taxonomyVersion: taxonomy.version,
+        amountColumn: pipeline.amountColumn,
+        currencyColumn: pipeline.currencyColumn,
+        dateColumn: pipeline.dateColumn,
+        aiProvider: context.provider.name,
+        aiModel: context.provider.model,
+        fileFormat: readerOptions.format,
+    });
+
+    let bytesRead = 0;
+    // Only the full pass over the file is measured, not the ranges read to sniff its format.
+    const records = readRecords(
+        range => range ? file.createReadStream(range) : countBytes(file.createReadStream(), bytes => { bytesRead += bytes; }),
+        readerOptions,
+    );
+    const resumeAfterRow = checkpoint ? checkpoint.lastCommittedRow : -1;
+    if (checkpoint) {
+        console.log(`Resuming job ${jobId} after row ${resumeAfterRow} (${checkpoint.batchesCommitted} batches already committed).`);
+    }
 
     let batch = [];
     let rowIndex = 0;
+    let batchesCommitted = checkpoint ? checkpoint.batchesCommitted : 0;
+    let rowsThisRun = 0;
+    const runStartedAt = Date.now();
     const bulkWriter = firestore.bulkWriter();
 
-    for await (const row of csvStream) {
-        batch.push({ index: rowIndex, data: row });
+    // Resolves to false, without committing, when the job was cancelled or is out of quota; a resumed run starts from the checkpoint.
+    const commitBatch = async () => {
+        const cancelRequest = await cancellationRequested(jobDocRef);
+        if (cancelRequest) {
+            await bulkWriter.close();
+            await jobDocRef.update({
+                status: 'cancelled',
+                ...cancellationUpdates(cancelRequest),
+                'progress.rowsRead': rowIndex,
+                'progress.finishedAt': Firestore.FieldValue.serverTimestamp(),
+                'progress.estimatedFinishAt': null,
+            });
+            console.log(`Job ${jobId} was cancelled by ${cancelRequest.requestedBy} after ${batchesCommitted} batches.`);
+            await emitJobEvent(jobDocRef, 'job.cancelled', { run: action, cancelledBy: cancelRequest.requestedBy });
+            return false;
+        }
+        const exceeded = await quotaExceeded(tenantId, batch.length);
+        if (exceeded) {
+            await bulkWriter.close();
+            await jobDocRef.update({
+                status: 'quota_exceeded',
+                quotaExceeded: exceeded,
+                'progress.rowsRead': rowIndex,
+                'progress.finishedAt': Firestore.FieldValue.serverTimestamp(),
+                'progress.estimatedFinishAt': null,
+            });
+            console.log(`Job ${jobId} stopped after ${batchesCommitted} batches: the tenant's ${exceeded.metric} quota (${exceeded.limit}) for ${exceeded.period} is used up.`);
+            return false;
+        }
+        await jobDocRef.update({ status: `processing_batch_${batchesCommitted + 1}` });
+        const summary = await processBatch(batch, context, jobDocRef, bulkWriter);
+        await recordUsage(context, batch.length);
+        batchesCommitted++;
+        rowsThisRun += batch.length;
+        const lastCommittedRow = batch[batch.length - 1].index;
+        const countUpdates = {
+            unclassifiableRows: Firestore.FieldValue.increment(summary.unclassifiable),
+            'reviewCounts.suggested': Firestore.FieldValue.increment(batch.length),
+        };
+        for (const source of CLASSIFICATION_SOURCES) {
+            countUpdates[`classificationCounts.${source}`] = Firestore.FieldValue.increment(summary.sources[source]);
+        }
+        const estimate = estimateProgress({ rowsRead: rowIndex, rowsCommitted: lastCommittedRow + 1, rowsThisRun, runStartedAt, bytesRead, totalBytes });
+        await jobDocRef.update({
+            checkpoint: {
+                lastCommittedRow,
+                batchesCommitted,
+                sourceGeneration: String(fileMetadata.generation),
+                updatedAt: Firestore.FieldValue.serverTimestamp(),
+            },
+            ...countUpdates,
+            'progress.rowsRead': rowIndex,
+            'progress.rowsClassified': Firestore.FieldValue.increment(batch.length - summary.unclassifiable),
+            'progress.rowsFailed': Firestore.FieldValue.increment(summary.unclassifiable),
+            'progress.batchesDone': batchesCommitted,
+            'progress.bytesRead': bytesRead,
+            'progress.estimatedTotalRows': estimate.estimatedTotalRows,
+            'progress.rowsPerSecond': estimate.rowsPerSecond,
+            'progress.estimatedFinishAt': estimate.estimatedFinishAt,
+        });
+        batch = [];
+        return true;
+    };
+
+    for await (const record of records) {
+        if (record.index === 0) {
+            const missingColumns = pipeline.sourceColumnsForAI.filter(column => !(column in record.data));
+            if (missingColumns.length === pipeline.sourceColumnsForAI.length) {
+                throw new Error(`None of the pipeline's source columns (${pipeline.sourceColumnsForAI.join(', ')}) were found in the file.`);
+            }
+            if (missingColumns.length > 0) {
+                console.warn(`File is missing pipeline source columns: ${missingColumns.join(', ')}`);
+            }
+        }
         rowIndex++;
+        if (record.index <= resumeAfterRow) continue; // Already written before the restart
 
-        if (batch.length >= BATCH_SIZE) {
-            await jobDocRef.update({ status: `processing_batch_${Math.floor(rowIndex / BATCH_SIZE)}` });
-            await processBatch(batch, structuredDefs, tenantId, jobId, bulkWriter);
-            batch = [];
+        batch.push(record);
+        if (batch.length >= BATCH_SIZE && !(await commitBatch())) {
+            return;
         }
     }
 
-    if (batch.length > 0) {
-        await processBatch(batch, structuredDefs, tenantId, jobId, bulkWriter);
+    if (batch.length > 0 && !(await commitBatch())) {
+        return;
     }
 
     console.log("All batches processed. Finalizing job...");
     await bulkWriter.close();
+    const summary = await computeJobSummary(jobDocRef, pipeline);
 
+    const { rowsPerSecond } = estimateProgress({ rowsRead: rowIndex, rowsCommitted: rowIndex, rowsThisRun, runStartedAt, bytesRead, totalBytes });
     await jobDocRef.update({
         status: 'completed',
-        totalRows: rowIndex
+        // A cancellation that arrived after the last batch comes too late.
+        cancelRequest: Firestore.FieldValue.delete(),
+        totalRows: rowIndex,
+        summary,
+        'progress.rowsRead': rowIndex,
+        'progress.bytesRead': bytesRead,
+        'progress.estimatedTotalRows': rowIndex,
+        'progress.rowsPerSecond': rowsPerSecond,
+        'progress.finishedAt': Firestore.FieldValue.serverTimestamp(),
+        'progress.estimatedFinishAt': null,
     });
 
+    await emitJobEvent(jobDocRef, 'job.completed', { run: action });
+    await queueJobEmail(jobDocRef, 'job.completed', { run: action });
     console.log("Job completed successfully.");
 }
 
+async function reclassifyJob(gcsFile, jobDocRef) {
+    const { tenantId, pipelineId, jobId } = parseUploadPath(gcsFile);
+    const jobSnap = await jobDocRef.get();
+    const job = jobSnap.data();
+    const toVersion = job.reclassifyRequest?.taxonomyVersion;
+    if (toVersion === undefined) {
+        throw new Error(`Job ${jobId} has no pending reclassification request.`);
+    }
+
+    // Reclassification honours the configuration the job originally ran with.
+    const pipeline = {
+        sourceColumnsForAI: job.sourceColumnsForAI,
+        classificationTargets: job.classificationTargets,
+        taxonomy: job.taxonomy || 'standard',
+        aiModel: job.aiModel || null,
+        amountColumn: job.amountColumn || null,
+        currencyColumn: job.currencyColumn || null,
+        dateColumn: job.dateColumn || null,
+    };
+    const fromVersion = job.taxonomyVersion ?? 0;
+    console.log(`Reclassifying job ${jobId} for Tenant ${tenantId} from ${pipeline.taxonomy} v${fromVersion} to v${toVersion}`);
+
+    const [fromTaxonomy, toTaxonomy] = await Promise.all([
+        getStructuredDefinitions(tenantId, pipeline.taxonomy, fromVersion),
+        getStructuredDefinitions(tenantId, pipeline.taxonomy, toVersion),
+    ]);
+    const diff = diffTaxonomies(fromTaxonomy.structuredDefs, toTaxonomy.structuredDefs);
+    // Rows are re-run because their classification changed meaning, so older memo entries do not apply.
+    const context = await createClassificationContext(tenantId, pipelineId, pipeline, toTaxonomy, { memoMinVersion: toVersion });
+    await jobDocRef.update({ status: 'reclassifying' });
+    await emitJobEvent(jobDocRef, 'job.started', { run: 'reclassify', fromVersion, toVersion });
+
+    const changedBy = `system:reclassify (v${fromVersion} -> v${toVersion})`;
+    const tally = await rerunRows(
+        jobDocRef.collection('rows').stream(),
+        row => needsReclassification(row, diff, pipeline.classificationTargets),
+        context, jobDocRef, changedBy,
+    );
+    const { rowsRerun: rowsReclassified, classificationCounts, unclassifiableRows, cancelRequest, quotaExceeded: exceeded } = tally;
+    const summary = await computeJobSummary(jobDocRef, pipeline);
+
+    await jobDocRef.update({
+        status: 'completed',
+        // A cancelled or stopped reclassification leaves the job on its old version; the rows it re-ran record the new one.
+        ...(cancelRequest ? cancellationUpdates(cancelRequest) : {
+            ...(exceeded ? {} : { taxonomyVersion: toVersion }),
+            cancelRequest: Firestore.FieldValue.delete(),
+        }),
+        quotaExceeded: exceeded || Firestore.FieldValue.delete(),
+        reclassifyRequest: Firestore.FieldValue.delete(),
+        summary,
+        reclassifications: Firestore.FieldValue.arrayUnion({ fromVersion, toVersion, rowsReclassified, classificationCounts, unclassifiableRows, cancelled: Boolean(cancelRequest), stoppedByQuota: Boolean(exceeded), completedAt: new Date() }),
+        ...rerunCountUpdates(job, tally),
+    });
+    await emitJobEvent(jobDocRef, cancelRequest ? 'job.cancelled' : 'job.completed', {
+        run: 'reclassify',
+        rowsRerun: rowsReclassified,
+        ...(cancelRequest ? { cancelledBy: cancelRequest.requestedBy } : {}),
+        stoppedByQuota: Boolean(exceeded),
+    });
+    console.log(`Reclassification ${cancelRequest ? 'cancelled' : exceeded ? `stopped by the ${exceeded.metric} quota` : 'completed'}: ${rowsReclassified} rows re-run.`);
+}
+
+/**
+ * The stored rows a reprocess request's filter selects: the Unclassified
+ * rows, the rows below a confidence threshold, or a hand-picked set.
+ */
+async function selectReprocessRows(jobDocRef, filter) {
+    const rowsRef = jobDocRef.collection('rows');
+    switch (filter.type) {
+        case 'unclassified':
+            return rowsRef.where('cost_pool', '==', 'Unclassified').stream();
+        case 'belowConfidence':
+            return rowsRef.where('confidence', '<', filter.threshold).stream();
+        case 'rows': {
+            const snapshots = await firestore.getAll(...filter.rowIds.map(rowId => rowsRef.doc(rowId)));
+            return snapshots.filter(snap => snap.exists);
+        }
+        default:
+            throw new Error(`Unknown reprocess filter '${filter.type}'.`);
+    }
+}
+
+function describeReprocessFilter(filter) {
+    switch (filter.type) {
+        case 'unclassified': return 'unclassified rows';
+        case 'belowConfidence': return `rows below ${filter.threshold} confidence`;
+        default: return `${filter.rowIds.length} selected rows`;
+    }
+}
+
+/**
+ * Re-runs the rows of a finished job that a reprocess request selects, with
+ * the job's configuration and taxonomy version but the tenant's current
+ * rules and corrections. Manually edited, reviewed and approved rows are
+ * left alone, and earlier AI answers in the memo are not replayed, so every
+ * row gets a fresh attempt.
+ */
+async function reprocessJob(gcsFile, jobDocRef) {
+    const { tenantId, pipelineId, jobId } = parseUploadPath(gcsFile);
+    const jobSnap = await jobDocRef.get();
+    const job = jobSnap.data();
+    const request = job.reprocessRequest;
+    if (!request?.filter) {
+        throw new Error(`Job ${jobId} has no pending reprocess request.`);
+    }
+
+    const pipeline = {
+        sourceColumnsForAI: job.sourceColumnsForAI,
+        classificationTargets: job.classificationTargets,
+        taxonomy: job.taxonomy || 'standard',
+        aiModel: job.aiModel || null,
+        amountColumn: job.amountColumn || null,
+        currencyColumn: job.currencyColumn || null,
+        dateColumn: job.dateColumn || null,
+    };
+    const description = describeReprocessFilter(request.filter);
+    console.log(`Reprocessing ${description} of job ${jobId} for Tenant ${tenantId}`);
+
+    const taxonomy = await getStructuredDefinitions(tenantId, pipeline.taxonomy, job.taxonomyVersion ?? 0);
+    const context = await createClassificationContext(tenantId, pipelineId, pipeline, taxonomy, { memoSources: ['human'] });
+    await jobDocRef.update({ status: 'reprocessing' });
+    await emitJobEvent(jobDocRef, 'job.started', { run: 'reprocess', filter: request.filter });
+
+    const tally = await rerunRows(
+        await selectReprocessRows(jobDocRef, request.filter),
+        // Rows a person edited, reviewed or approved keep their classification; rejected rows are re-run.
+        row => !row.manually_edited && !['reviewed', 'approved'].includes(row.review_state),
+        context, jobDocRef, `system:reprocess (${description}, requested by ${request.requestedBy})`, true,
+    );
+    const { rowsRerun: rowsReprocessed, classificationCounts, unclassifiableRows, cancelRequest, quotaExceeded: exceeded } = tally;
+    const summary = await computeJobSummary(jobDocRef, pipeline);
+
+    await jobDocRef.update({
+        status: 'completed',
+        ...(cancelRequest ? cancellationUpdates(cancelRequest) : { cancelRequest: Firestore.FieldValue.delete() }),
+        quotaExceeded: exceeded || Firestore.FieldValue.delete(),
+        reprocessRequest: Firestore.FieldValue.delete(),
+        summary,
+        reprocessings: Firestore.FieldValue.arrayUnion({
+            filter: request.filter,
+            requestedBy: request.requestedBy,
+            rowsReprocessed,
+            classificationCounts,
+            unclassifiableRows,
+            cancelled: Boolean(cancelRequest),
+            stoppedByQuota: Boolean(exceeded),
+            completedAt: new Date(),
+        }),
+        ...rerunCountUpdates(job, tally),
+    });
+    await emitJobEvent(jobDocRef, cancelRequest ? 'job.cancelled' : 'job.completed', {
+        run: 'reprocess',
+        rowsRerun: rowsReprocessed,
+        ...(cancelRequest ? { cancelledBy: cancelRequest.requestedBy } : {}),
+        stoppedByQuota: Boolean(exceeded),
+    });
+    console.log(`Reprocessing ${cancelRequest ? 'cancelled' : exceeded ? `stopped by the ${exceeded.metric} quota` : 'completed'}: ${rowsReprocessed} rows re-run.`);
+}
+
+async function main() {
+    console.log("Cloud Run Job started by Workflow.");
+
+    // Read bucket, file and optional action from command-line arguments provided by the workflow
+    const { gcsBucket, gcsFile, action } = parseJobArgs(process.argv.slice(2));
+
+    if (!gcsBucket || !gcsFile) {
+        throw new Error("Missing GCS bucket or file name arguments. The job must be called with [BUCKET] [FILE].");
+    }
+
+    const { tenantId, jobId } = parseUploadPath(gcsFile);
+    const jobDocRef = firestore.collection(tenantsCollection).doc(tenantId).collection('jobs').doc(jobId);
+
+    // Nothing runs for a suspended tenant. A tenant being deleted is left alone entirely, so
+    // that no job document is written back while its data is removed.
+    const tenantDoc = await firestore.collection(tenantsCollection).doc(tenantId).get();
+    const tenantStatus = tenantDoc.exists ? tenantDoc.data().status : null;
+    if (tenantStatus === 'deleting') {
+        console.log(`Tenant ${tenantId} is being deleted, skipping ${gcsFile}.`);
+        return;
+    }
+    if (tenantStatus === 'suspended') {
+        throw new Error('The tenant is suspended.');
+    }
+
+    switch (action) {
+        case 'process':
+        case 'resume':
+            return processFile(gcsBucket, gcsFile, jobDocRef, action);
+        case 'reclassify':
+            return reclassifyJob(gcsFile, jobDocRef);
+        case 'reprocess':
+            return reprocessJob(gcsFile, jobDocRef);
+        default:
+            throw new Error(`Unknown job action '${action}'.`);
+    }
+}
+
 main().catch(async (err) => {
     console.error("Job failed with an unhandled error:", err);
-    // In a production scenario, you would update the job status to 'failed' in Firestore.
-    const args = process.argv.slice(2);
-    const gcsFile = args[1]; // Get file path from args to extract IDs
+    const { gcsFile, action } = parseJobArgs(process.argv.slice(2)); // Get file path from args to extract IDs
     if (gcsFile) {
-        const pathParts = gcsFile.split('/');
-        if (pathParts.length >= 4) {
-            const tenantId = pathParts[1];
-            const jobId = pathParts[2];
-            await firestore.collection(tenantsCollection).doc(tenantId).collection('jobs').doc(jobId).update({
+        try {
+            const { tenantId, jobId } = parseUploadPath(gcsFile);
+            const jobDocRef = firestore.collection(tenantsCollection).doc(tenantId).collection('jobs').doc(jobId);
+            await jobDocRef.set({
                 status: 'failed',
-                error: err.message
-            });
+                error: err.message,
+                // A failed reclassification or reprocess leaves the progress of the original run alone.
+                ...(action === 'reclassify' || action === 'reprocess' ? {} : { progress: { finishedAt: Firestore.FieldValue.serverTimestamp(), estimatedFinishAt: null } }),
+            }, { merge: true });
+            await emitJobEvent(jobDocRef, 'job.failed', { run: action });
+            await queueJobEmail(jobDocRef, 'job.failed', { run: action });
+        } catch (e) {
+            console.error("Could not record the failure on the job document:", e);
         }
     }
     process.exit(1);
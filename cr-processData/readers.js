@@ -0,0 +1,228 @@
+/**
+ * readers.js for the 'process-csv' Cloud Run Job
+ *
+ * Detects the format of an uploaded file and streams its rows as the
+ * `{ index, data }` records that `processBatch` consumes, where `data` maps
+ * trimmed column headers to string values. Supported formats are delimited
+ * text (.csv, .tsv, .txt, with a configurable delimiter and encoding),
+ * Excel workbooks (.xlsx, with a sheet choice), JSON arrays of objects and
+ * NDJSON. No reader ever holds the whole file in memory.
+ */
+
+const path = require('path');
+const readline = require('readline');
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const iconv = require('iconv-lite');
+const { parser: jsonParser } = require('stream-json');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+
+const FORMATS_BY_EXTENSION = {
+    '.csv': 'delimited',
+    '.tsv': 'delimited',
+    '.txt': 'delimited',
+    '.xlsx': 'xlsx',
+    '.json': 'json',
+    '.ndjson': 'ndjson',
+    '.jsonl': 'ndjson',
+};
+
+// Delimiters tried, in order of preference, when the upload does not name one.
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+function detectFormat(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    const format = FORMATS_BY_EXTENSION[extension];
+    if (!format) {
+        throw new Error(`Unsupported file type '${extension || filename}'. Supported types are: ${Object.keys(FORMATS_BY_EXTENSION).join(', ')}.`);
+    }
+    return format;
+}
+
+/**
+ * Validates the upload options recorded by uploadFile and fills in defaults.
+ */
+function resolveReaderOptions(filename, { delimiter, encoding, sheet } = {}) {
+    const resolvedEncoding = encoding || 'utf-8';
+    if (!iconv.encodingExists(resolvedEncoding)) {
+        throw new Error(`Unsupported encoding '${encoding}'.`);
+    }
+    if (delimiter !== undefined && delimiter !== '' && [...delimiter].length !== 1) {
+        throw new Error(`The delimiter must be a single character, got '${delimiter}'.`);
+    }
+    return {
+        format: detectFormat(filename),
+        delimiter: delimiter || (path.extname(filename).toLowerCase() === '.tsv' ? '\t' : null),
+        encoding: resolvedEncoding,
+        sheet: sheet || null,
+    };
+}
+
+/**
+ * Picks the delimiter that splits the header line into the most columns.
+ */
+function sniffDelimiter(sample) {
+    const headerLine = sample.split(/\r?\n/)[0] || '';
+    let best = CANDIDATE_DELIMITERS[0];
+    let bestCount = 0;
+    for (const delimiter of CANDIDATE_DELIMITERS) {
+        const count = headerLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * Converts any parsed value to the string form the CSV reader produces.
+ */
+function toCellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        const iso = value.toISOString();
+        return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+    }
+    if (typeof value === 'object') {
+        // ExcelJS cell values: rich text, formulas, hyperlinks and errors.
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if ('result' in value) return toCellText(value.result);
+        if ('text' in value) return toCellText(value.text);
+        if ('error' in value) return String(value.error);
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+function toRecordData(object) {
+    const data = {};
+    for (const [key, value] of Object.entries(object)) {
+        data[key.trim()] = toCellText(value);
+    }
+    return data;
+}
+
+async function* readDelimited(createReadStream, { delimiter, encoding }) {
+    const decode = stream => stream.pipe(iconv.decodeStream(encoding)).pipe(iconv.encodeStream('utf-8'));
+    if (!delimiter) {
+        let sample = '';
+        for await (const chunk of decode(createReadStream({ start: 0, end: 64 * 1024 }))) {
+            sample += chunk.toString('utf-8');
+        }
+        delimiter = sniffDelimiter(sample);
+        console.log(`Detected delimiter '${delimiter === '\t' ? '\\t' : delimiter}'.`);
+    }
+
+    const csvStream = decode(createReadStream()).pipe(csv({
+        separator: delimiter,
+        bom: true,
+        mapHeaders: ({ header }) => header.trim(),
+    }));
+    let index = 0;
+    for await (const row of csvStream) {
+        yield { index: index++, data: row };
+    }
+}
+
+async function* readXlsx(createReadStream, { sheet }) {
+    const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(createReadStream(), {
+        worksheets: 'emit',
+        sharedStrings: 'cache',
+        hyperlinks: 'ignore',
+        styles: 'cache',
+    });
+
+    let sheetFound = false;
+    for await (const worksheetReader of workbookReader) {
+        // Sheets are chosen by name or by 1-based tab position; the first tab is the default.
+        const sheets = workbookReader.model?.sheets || [];
+        const position = /^\d+$/.test(sheet || '') ? Number(sheet) : null;
+        const targetName = sheet === null ? sheets[0]?.name
+            : position !== null ? sheets[position - 1]?.name
+            : sheet;
+        if (worksheetReader.name !== targetName || sheetFound) continue;
+        sheetFound = true;
+        console.log(`Reading worksheet '${worksheetReader.name}'.`);
+
+        let headers = null;
+        let index = 0;
+        for await (const row of worksheetReader) {
+            const values = row.values.slice(1).map(toCellText);
+            if (!headers) {
+                if (values.every(value => !value.trim())) continue; // Skip blank rows above the header
+                headers = values.map((header, i) => header.trim() || `column_${i + 1}`);
+                continue;
+            }
+            if (values.every(value => !value.trim())) continue;
+            const data = {};
+            headers.forEach((header, i) => {
+                data[header] = values[i] ?? '';
+            });
+            yield { index: index++, data };
+        }
+    }
+    if (!sheetFound) {
+        throw new Error(sheet === null ? 'The workbook does not contain any worksheets.' : `Worksheet '${sheet}' was not found in the workbook.`);
+    }
+}
+
+async function* readJson(createReadStream, { encoding }) {
+    const arrayStream = createReadStream()
+        .pipe(iconv.decodeStream(encoding))
+        .pipe(iconv.encodeStream('utf-8'))
+        .pipe(jsonParser())
+        .pipe(streamArray());
+    let index = 0;
+    for await (const { value } of arrayStream) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`JSON element ${index} is not an object. The file must contain an array of row objects.`);
+        }
+        yield { index: index++, data: toRecordData(value) };
+    }
+}
+
+async function* readNdjson(createReadStream, { encoding }) {
+    const lines = readline.createInterface({
+        input: createReadStream().pipe(iconv.decodeStream(encoding)),
+        crlfDelay: Infinity,
+    });
+    let index = 0;
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        let value;
+        try {
+            value = JSON.parse(line);
+        } catch (e) {
+            throw new Error(`Line ${lineNumber} is not valid JSON: ${e.message}`);
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Line ${lineNumber} is not a JSON object.`);
+        }
+        yield { index: index++, data: toRecordData(value) };
+    }
+}
+
+const READERS = {
+    delimited: readDelimited,
+    xlsx: readXlsx,
+    json: readJson,
+    ndjson: readNdjson,
+};
+
+/**
+ * Streams `{ index, data }` records from a file. `createReadStream(range?)`
+ * must return a fresh byte stream of the file, optionally limited to a
+ * `{ start, end }` byte range (as GCS `File#createReadStream` does).
+ */
+function readRecords(createReadStream, options) {
+    return READERS[options.format](createReadStream, options);
+}
+
+module.exports = {
+    detectFormat,
+    resolveReaderOptions,
+    readRecords,
+};
@@ -0,0 +1,118 @@
+/**
+ * rules.js for the 'process-csv' Cloud Run Job
+ *
+ * Applies a tenant's deterministic classification rules (maintained by the
+ * manageRules function in `tenants/{tenantId}/rules`) ahead of the AI. Rules
+ * are tried in `position` order and the first one whose condition matches a
+ * row decides its classification.
+ */
+
+const OPERATORS = ['matches', 'contains', 'equals'];
+// Longest regular expression a `matches` rule may use; kept in step with the manageRules function.
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Refuses a `matches` pattern that could take exponential time on a long
+ * value: one longer than MAX_PATTERN_LENGTH, or one that repeats a group
+ * which itself repeats, like `(a+)+` or `(\w*\s?){2,}`.
+ */
+function checkPatternSafety(pattern) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`A pattern can be at most ${MAX_PATTERN_LENGTH} characters long.`);
+    }
+    // For each open group, whether it contains a quantifier.
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            // Skip the character class; quantifier characters inside it are literal.
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const repeatsInside = groups.pop();
+            if (repeatsInside && /^(?:[*+]|\{\d+,\d*\})/.test(pattern.slice(i + 1))) {
+                throw new Error('A pattern cannot repeat a group that itself repeats, like (a+)+.');
+            }
+            if (groups.length > 0) groups[groups.length - 1] ||= repeatsInside;
+        } else if (groups.length > 0 && (char === '*' || char === '+' || (char === '?' && pattern[i - 1] !== '(') || /^\{\d+(?:,\d*)?\}/.test(pattern.slice(i)))) {
+            groups[groups.length - 1] = true;
+        }
+    }
+}
+
+/**
+ * Builds the value test of a rule. `matches` takes a regular expression,
+ * `contains` and `equals` compare plain text; all ignore case unless the
+ * rule is case sensitive.
+ */
+function compileCondition({ operator, pattern, caseSensitive }) {
+    const normalize = value => (caseSensitive ? value : value.toLowerCase()).trim();
+    switch (operator) {
+        case 'matches': {
+            checkPatternSafety(pattern);
+            const regex = new RegExp(pattern, caseSensitive ? '' : 'i');
+            return value => regex.test(value);
+        }
+        case 'contains': {
+            const needle = normalize(pattern);
+            return value => normalize(value).includes(needle);
+        }
+        case 'equals': {
+            const expected = normalize(pattern);
+            return value => normalize(value) === expected;
+        }
+        default:
+            throw new Error(`Unknown rule operator '${operator}'. Supported operators are: ${OPERATORS.join(', ')}.`);
+    }
+}
+
+/**
+ * Prepares the rules that apply to a run: enabled, scoped to the pipeline
+ * (an empty `pipelineIds` means every pipeline), written for the pipeline's
+ * taxonomy, and still pointing at a valid pool and sub-pool. Rules that
+ * cannot be used are logged and skipped rather than failing the job.
+ */
+function compileRules(rules, { pipelineId, pipeline, structuredDefs }) {
+    const compiled = [];
+    const sorted = [...rules].sort((a, b) => a.position - b.position);
+    for (const rule of sorted) {
+        if (rule.enabled === false) continue;
+        if (Array.isArray(rule.pipelineIds) && rule.pipelineIds.length > 0 && !rule.pipelineIds.includes(pipelineId)) continue;
+        if ((rule.taxonomy || 'standard') !== pipeline.taxonomy) continue;
+
+        const pool = structuredDefs[rule.cost_pool];
+        if (!pool || !pool.sub_pools.some(sp => sp.name === rule.cost_sub_pool)) {
+            console.warn(`Skipping rule '${rule.name}' (${rule.id}): ${rule.cost_pool} / ${rule.cost_sub_pool} is not in the current taxonomy.`);
+            continue;
+        }
+        try {
+            compiled.push({ ...rule, test: compileCondition(rule) });
+        } catch (e) {
+            console.warn(`Skipping rule '${rule.name}' (${rule.id}): ${e.message}`);
+        }
+    }
+    return compiled;
+}
+
+/**
+ * Returns the first rule that matches a row's original data, or null.
+ */
+function matchRule(compiledRules, rowData) {
+    for (const rule of compiledRules) {
+        const value = rowData[rule.column];
+        if (value !== undefined && value !== null && rule.test(String(value))) {
+            return rule;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    compileRules,
+    matchRule,
+};
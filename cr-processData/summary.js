@@ -0,0 +1,128 @@
+/**
+ * summary.js for the 'process-csv' Cloud Run Job
+ *
+ * Builds a job's classification summary: row counts and summed amounts per
+ * cost pool and sub-pool, a confidence histogram and, when the pipeline
+ * names them, totals per currency and per month. A pipeline nominates its
+ * `amountColumn`, `currencyColumn` and `dateColumn`; each row stores the
+ * parsed `amount`, `currency` and `period` (YYYY-MM), so the summary can be
+ * rebuilt from the rows alone and adjusted when a row is edited.
+ */
+
+// Confidence histogram buckets: [0, 0.1), [0.1, 0.2), ... [0.9, 1].
+const CONFIDENCE_BUCKETS = 10;
+
+/**
+ * Parses an amount as finance exports write it: currency symbols and spaces
+ * are ignored, parentheses or a trailing minus mean a negative amount, and
+ * the last of '.' or ',' is the decimal separator when it is followed by one
+ * or two digits. Returns null for anything that is not a number.
+ */
+function parseAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    if (text.endsWith('-')) {
+        negative = true;
+        text = text.slice(0, -1);
+    }
+    text = text.replace(/[^\d.,\-]/g, '');
+    const decimalMatch = text.match(/[.,](\d{1,2})$/);
+    const integerPart = decimalMatch ? text.slice(0, decimalMatch.index) : text;
+    const normalized = integerPart.replace(/[.,]/g, '') + (decimalMatch ? `.${decimalMatch[1]}` : '');
+    if (!/^-?\d+(\.\d+)?$/.test(normalized)) return null;
+    const amount = Number(normalized);
+    return negative ? -Math.abs(amount) : amount;
+}
+
+/**
+ * The month ('YYYY-MM') of a date value. ISO dates are read as written;
+ * anything else is left to Date.parse, which reads slashed dates US-style.
+ */
+function parsePeriod(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    const iso = text.match(/^(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?(?:[T ].*)?$/);
+    if (iso) {
+        const month = Number(iso[2]);
+        return month >= 1 && month <= 12 ? `${iso[1]}-${String(month).padStart(2, '0')}` : null;
+    }
+    const timestamp = Date.parse(text);
+    if (Number.isNaN(timestamp)) return null;
+    return new Date(timestamp).toISOString().slice(0, 7);
+}
+
+/**
+ * The spend fields of a row for the pipeline's nominated columns. Rows of a
+ * pipeline without an amount, currency or date column get none.
+ */
+function spendFields(rowData, pipeline) {
+    const fields = {};
+    if (pipeline.amountColumn) fields.amount = parseAmount(rowData[pipeline.amountColumn]);
+    if (pipeline.currencyColumn) fields.currency = String(rowData[pipeline.currencyColumn] ?? '').trim().toUpperCase() || null;
+    if (pipeline.dateColumn) fields.period = parsePeriod(rowData[pipeline.dateColumn]);
+    return fields;
+}
+
+function addTo(totals, key, amount) {
+    const entry = totals[key] || (totals[key] = { rows: 0, amount: 0 });
+    entry.rows++;
+    entry.amount += amount;
+    return entry;
+}
+
+function roundAmounts(totals) {
+    for (const entry of Object.values(totals)) {
+        entry.amount = Math.round(entry.amount * 100) / 100;
+        if (entry.subPools) roundAmounts(entry.subPools);
+    }
+}
+
+/**
+ * Summarizes a job's rows. `rows` is an iterable (sync or async) of row data
+ * with the classification and spend fields. Pool and sub-pool names are map
+ * keys, so edits can move a row between them with field increments.
+ */
+async function summarizeRows(rows, pipeline) {
+    const summary = {
+        amountColumn: pipeline.amountColumn || null,
+        currencyColumn: pipeline.currencyColumn || null,
+        dateColumn: pipeline.dateColumn || null,
+        rows: 0,
+        amount: 0,
+        unparsedAmounts: 0,
+        pools: {},
+        confidenceHistogram: new Array(CONFIDENCE_BUCKETS).fill(0),
+        currencies: {},
+        periods: {},
+    };
+    for await (const row of rows) {
+        const amount = typeof row.amount === 'number' ? row.amount : 0;
+        if (summary.amountColumn && typeof row.amount !== 'number') summary.unparsedAmounts++;
+        summary.rows++;
+        summary.amount += amount;
+
+        const pool = addTo(summary.pools, row.cost_pool || 'Unclassified', amount);
+        if (row.cost_sub_pool) addTo(pool.subPools || (pool.subPools = {}), row.cost_sub_pool, amount);
+
+        const confidence = Math.min(Math.max(Number(row.confidence) || 0, 0), 1);
+        summary.confidenceHistogram[Math.min(Math.floor(confidence * CONFIDENCE_BUCKETS), CONFIDENCE_BUCKETS - 1)]++;
+
+        if (summary.currencyColumn) addTo(summary.currencies, row.currency || 'Unknown', amount);
+        if (summary.dateColumn) addTo(summary.periods, row.period || 'Unknown', amount);
+    }
+    summary.amount = Math.round(summary.amount * 100) / 100;
+    for (const totals of [summary.pools, summary.currencies, summary.periods]) roundAmounts(totals);
+    return summary;
+}
+
+module.exports = {
+    parseAmount,
+    spendFields,
+    summarizeRows,
+};
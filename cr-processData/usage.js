@@ -0,0 +1,72 @@
+/**
+ * usage.js for the 'process-csv' Cloud Run Job
+ *
+ * Meters what a tenant consumes and checks it against the tenant's quotas.
+ * Usage is rolled up per calendar month (UTC) in
+ * `tenants/{tenantId}/usage/{YYYY-MM}`: files uploaded (counted by the
+ * uploadFile function), rows and batches committed, AI calls made, and the
+ * input and output tokens the model reported for them.
+ *
+ * Super admins set monthly quotas on the tenant document (`quotas`, see the
+ * manageTenant function): `files`, `rows`, `aiCalls` and `tokens` (input and
+ * output together). A missing or null quota is unlimited.
+ */
+
+// Quotas a processing run is held to. The `files` quota only limits uploads.
+const PROCESSING_QUOTA_METRICS = ['rows', 'aiCalls', 'tokens'];
+
+/**
+ * The usage period a date falls in, e.g. '2026-10'.
+ */
+function usagePeriod(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * How much of a quota's metric a usage document has used.
+ */
+function usedAmount(usage, metric) {
+    if (metric === 'tokens') return (usage.inputTokens || 0) + (usage.outputTokens || 0);
+    return usage[metric] || 0;
+}
+
+/**
+ * The first processing quota that is exhausted, or that `pending` (e.g.
+ * `{ rows: 50 }`) would take past its limit, as `{ metric, limit, used }`.
+ * Null when every quota still has room.
+ */
+function findExceededQuota(quotas, usage, pending = {}) {
+    for (const metric of PROCESSING_QUOTA_METRICS) {
+        const limit = quotas?.[metric];
+        if (limit === undefined || limit === null) continue;
+        const used = usedAmount(usage || {}, metric);
+        if (used >= limit || used + (pending[metric] || 0) > limit) {
+            return { metric, limit, used };
+        }
+    }
+    return null;
+}
+
+/**
+ * Counts the AI calls and tokens of a run until they are taken, so they can
+ * be added to the tenant's usage with the batch they were spent on.
+ */
+function createUsageMeter() {
+    let pending = { aiCalls: 0, inputTokens: 0, outputTokens: 0 };
+    return {
+        recordCall() {
+            pending.aiCalls++;
+        },
+        recordTokens(usage) {
+            pending.inputTokens += usage?.inputTokens || 0;
+            pending.outputTokens += usage?.outputTokens || 0;
+        },
+        take() {
+            const taken = pending;
+            pending = { aiCalls: 0, inputTokens: 0, outputTokens: 0 };
+            return taken;
+        },
+    };
+}
+
+module.exports = { usagePeriod, findExceededQuota, createUsageMeter };
@@ -1,8 +1,11 @@
 /**
  * upload-definitions.js
  *
- * A one-time script to read your hierarchical CSV definitions and upload
- * them into a single document in your Firestore database.
+ * A script to read your hierarchical CSV definitions and publish them as a
+ * new, immutable version of the standard taxonomy in Firestore. Every run
+ * writes `definitions/hierarchical/versions/{N}` and points the
+ * `definitions/hierarchical` document at it, so jobs classified against an
+ * older version can still resolve the pools they were given.
  *
  * HOW TO RUN:
  * 1. Place this file in a new, empty folder on your computer.
@@ -72,11 +75,32 @@ async function processAndUpload() {
         console.log(`Uploading to Firestore collection '${FIRESTORE_COLLECTION}', document '${FIRESTORE_DOCUMENT}'...`);
         const docRef = db.collection(FIRESTORE_COLLECTION).doc(FIRESTORE_DOCUMENT);
         
-        // We store the entire structured object in a field called 'data'
-        await docRef.set({ data: structuredDefs });
+        const version = await db.runTransaction(async (transaction) => {
+          const headDoc = await transaction.get(docRef);
+          const head = headDoc.exists ? headDoc.data() : {};
+          if (head.data && JSON.stringify(head.data) === JSON.stringify(structuredDefs)) {
+            return null; // Nothing changed since the current version
+          }
+
+          const timestamp = admin.firestore.FieldValue.serverTimestamp();
+          if (head.data && head.currentVersion === undefined) {
+            // Preserve definitions uploaded before versioning as version 0.
+            transaction.set(docRef.collection('versions').doc('0'), { version: 0, data: head.data, createdAt: timestamp });
+          }
+          const nextVersion = (head.currentVersion ?? 0) + 1;
+
+          // We store the entire structured object in a field called 'data'
+          transaction.set(docRef.collection('versions').doc(String(nextVersion)), { version: nextVersion, data: structuredDefs, createdAt: timestamp, createdBy: 'upload-definitions.js' });
+          transaction.set(docRef, { data: structuredDefs, currentVersion: nextVersion, updatedAt: timestamp });
+          return nextVersion;
+        });
         
         console.log('---');
-        console.log('✅ Success! Definitions have been uploaded to Firestore.');
+        if (version === null) {
+          console.log('✅ Definitions are unchanged. No new version was created.');
+        } else {
+          console.log(`✅ Success! Definitions have been uploaded to Firestore as version ${version}.`);
+        }
         console.log('---');
         process.exit(0);
       } catch (error) {
@@ -2,16 +2,67 @@
  * index.js for 'createOrUpdatePipeline'
  *
  * This secure function allows a tenant admin to save a pipeline configuration,
- * which defines the source columns to be used for AI analysis.
+ * which defines the source columns to be used for AI analysis and the
+ * classification targets the processing job should fill in. A pipeline may
+ * also nominate an `amountColumn`, with optional `currencyColumn` and
+ * `dateColumn`, which the job sums per cost pool in the job's summary.
+ * Every save is recorded in the tenant's audit log.
+ *
  * gcloud functions deploy createOrUpdatePipeline --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
  */
 const functions = require('@google-cloud/functions-framework');
 const admin = require('firebase-admin');
+const { isTenantSuspended, recordAudit } = require('./tenancy');
 
 admin.initializeApp();
 const auth = admin.auth();
 const db = admin.firestore();
 
+// Classification targets a pipeline may request, in hierarchy order.
+const SUPPORTED_TARGETS = ['cost_pool', 'cost_sub_pool'];
+// 'standard' is the global taxonomy; 'custom' is the tenant's own taxonomy.
+const SUPPORTED_TAXONOMIES = ['standard', 'custom'];
+// Optional columns the job's spend summary reads.
+const SPEND_COLUMNS = ['amountColumn', 'currencyColumn', 'dateColumn'];
+// Models a pipeline may pin; without one, the tenant's aiModel setting or the job's default is used.
+const SUPPORTED_MODELS = ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'];
+
+/**
+ * Validates a pipeline configuration, returning an error message or null.
+ */
+function validateConfiguration(configuration) {
+    const { sourceColumnsForAI, classificationTargets } = configuration;
+    if (!Array.isArray(sourceColumnsForAI) || sourceColumnsForAI.length === 0
+        || !sourceColumnsForAI.every(col => typeof col === 'string' && col.trim())) {
+        return 'sourceColumnsForAI must be a non-empty array of column names.';
+    }
+    if (!Array.isArray(classificationTargets) || classificationTargets.length === 0) {
+        return 'classificationTargets must be a non-empty array.';
+    }
+    const unknownTargets = classificationTargets.filter(target => !SUPPORTED_TARGETS.includes(target));
+    if (unknownTargets.length > 0) {
+        return `Unsupported classification targets: ${unknownTargets.join(', ')}. Supported targets are: ${SUPPORTED_TARGETS.join(', ')}.`;
+    }
+    if (classificationTargets.includes('cost_sub_pool') && !classificationTargets.includes('cost_pool')) {
+        return 'The cost_sub_pool target requires the cost_pool target.';
+    }
+    if (configuration.taxonomy !== undefined && !SUPPORTED_TAXONOMIES.includes(configuration.taxonomy)) {
+        return `taxonomy must be one of: ${SUPPORTED_TAXONOMIES.join(', ')}.`;
+    }
+    if (configuration.aiModel != null && !SUPPORTED_MODELS.includes(configuration.aiModel)) {
+        return `aiModel must be one of: ${SUPPORTED_MODELS.join(', ')}.`;
+    }
+    for (const option of SPEND_COLUMNS) {
+        if (configuration[option] != null && (typeof configuration[option] !== 'string' || !configuration[option].trim())) {
+            return `${option} must be a column name.`;
+        }
+    }
+    if (configuration.currencyColumn && !configuration.amountColumn) {
+        return 'currencyColumn requires an amountColumn.';
+    }
+    return null;
+}
+
 functions.http('createOrUpdatePipeline', async (req, res) => {
     res.set('Access-Control-Allow-Origin', '*');
     res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -33,20 +84,56 @@ functions.http('createOrUpdatePipeline', async (req, res) => {
         return res.status(403).send({ error: 'Forbidden: Only admins can manage pipelines.' });
     }
 
+    if (await isTenantSuspended(decodedToken.tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
     const { pipelineName, configuration } = req.body;
     if (!pipelineName || !configuration || !configuration.sourceColumnsForAI || !configuration.classificationTargets) {
         return res.status(400).send({ error: 'Missing required fields in the configuration object.' });
     }
+    if (pipelineName.includes('/')) {
+        return res.status(400).send({ error: 'Pipeline names cannot contain a slash.' });
+    }
+
+    const validationError = validateConfiguration(configuration);
+    if (validationError) {
+        return res.status(400).send({ error: validationError });
+    }
+
+    const normalizedConfiguration = {
+        ...configuration,
+        sourceColumnsForAI: configuration.sourceColumnsForAI.map(col => col.trim()),
+        // Keep targets in hierarchy order regardless of how they were submitted.
+        classificationTargets: SUPPORTED_TARGETS.filter(target => configuration.classificationTargets.includes(target)),
+        taxonomy: configuration.taxonomy || 'standard',
+        aiModel: configuration.aiModel || null,
+        ...Object.fromEntries(SPEND_COLUMNS.map(option => [option, configuration[option]?.trim() || null])),
+    };
     
     const tenantId = decodedToken.tenantId;
 
     try {
+        if (normalizedConfiguration.taxonomy === 'custom') {
+            const customDefsDoc = await db.collection('tenants').doc(tenantId).collection('definitions').doc('custom').get();
+            if (!customDefsDoc.exists || Object.keys(customDefsDoc.data().data || {}).length === 0) {
+                return res.status(400).send({ error: 'This tenant has no custom definitions yet. Create them before selecting the custom taxonomy.' });
+            }
+        }
+
         const pipelineRef = db.collection('tenants').doc(tenantId).collection('pipelines').doc(pipelineName);
+        const existingPipeline = await pipelineRef.get();
         
         await pipelineRef.set({
-            configuration,
+            configuration: normalizedConfiguration,
             updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         }, { merge: true });
+        await recordAudit(req, decodedToken, tenantId, {
+            action: existingPipeline.exists ? 'pipeline.update' : 'pipeline.create',
+            target: { type: 'pipeline', id: pipelineName },
+            before: existingPipeline.exists ? existingPipeline.data().configuration || null : null,
+            after: normalizedConfiguration,
+        });
 
         res.status(200).send({ message: `Pipeline '${pipelineName}' saved successfully.` });
 
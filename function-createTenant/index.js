@@ -2,12 +2,14 @@
  * index.js for the 'createTenant' HTTP Cloud Function
  *
  * This version integrates with SendGrid to send a real invitation email
- * to the new tenant admin after their account is created.
+ * to the new tenant admin after their account is created. The creation is
+ * the first entry of the new tenant's audit log.
  */
 
 const functions = require('@google-cloud/functions-framework');
 const admin = require('firebase-admin');
 const sgMail = require('@sendgrid/mail');
+const { recordAudit } = require('./tenancy');
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -55,6 +57,7 @@ functions.http('createTenant', async (req, res) => {
     try {
         const tenantRef = await db.collection('tenants').add({
             name: tenantName,
+            status: 'active',
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
         });
         const tenantId = tenantRef.id;
@@ -70,6 +73,11 @@ functions.http('createTenant', async (req, res) => {
             role: 'admin',
             superAdmin: false,
         });
+        await recordAudit(req, decodedToken, tenantId, {
+            action: 'tenant.create',
+            target: { type: 'tenant', id: tenantId },
+            after: { name: tenantName, adminEmail, adminUid: userRecord.uid },
+        });
         
         const link = await auth.generatePasswordResetLink(adminEmail);
         
@@ -0,0 +1,144 @@
+/**
+ * index.js for the 'deliverWebhooks' HTTP Cloud Function
+ *
+ * Sends the webhook deliveries that the processing job and the
+ * updateRowClassification function queue in
+ * `tenants/{tenantId}/webhook_deliveries`, one per event and subscribed
+ * endpoint (see the manageWebhooks function). Each delivery is POSTed as
+ * JSON to its endpoint with these headers:
+ *
+ * - `X-Clarity-Event`: the event type, e.g. `job.completed`;
+ * - `X-Clarity-Delivery`: the delivery ID, the same on every retry;
+ * - `X-Clarity-Signature`: `t={unix seconds},v1={signature}`, where the
+ *   signature is the hex HMAC-SHA256 of `{t}.{body}` keyed with the
+ *   endpoint's secret.
+ *
+ * A 2xx response delivers it. Anything else, or no response within 10
+ * seconds, is retried with exponential backoff until
+ * MAX_ATTEMPTS, after which the delivery is marked failed. Every attempt is
+ * logged on the delivery (`attemptLog`), which the manageWebhooks function
+ * lists, with the response's status but never its body. Deliveries for a
+ * disabled or deleted endpoint are failed without being sent, and an
+ * endpoint whose host resolves to a non-public address is
+ * not called.
+ *
+ * Cloud Scheduler calls the function every minute. It is not public: the
+ * scheduler's service account needs the Cloud Run Invoker role. Deliveries
+ * are deleted 30 days after they were queued by the TTL policy on `expireAt`
+ * in web-main/firestore.indexes.json.
+ *
+ * gcloud functions deploy deliverWebhooks --gen2 --runtime=nodejs22 --trigger-http --no-allow-unauthenticated --timeout=300
+ * gcloud scheduler jobs create http deliver-webhooks --location=us-central1 --schedule="* * * * *" --uri=<function URL> --http-method=POST --oidc-service-account-email=<service account>
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { sendDelivery } = require('./endpoints');
+
+// Initialize clients
+admin.initializeApp();
+const db = admin.firestore();
+
+const MAX_ATTEMPTS = 8;
+// The first retry waits this long; each later one waits twice as long as the last.
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// Deliveries taken per run, and sent at once.
+const MAX_DELIVERIES_PER_RUN = 200;
+const CONCURRENT_DELIVERIES = 10;
+// A claimed delivery is not taken by another run for this long.
+const CLAIM_MS = 5 * 60 * 1000;
+
+/**
+ * Sends a delivery to its endpoint once and records the attempt: a 2xx
+ * response delivers it, any other outcome schedules a retry with backoff or,
+ * after MAX_ATTEMPTS, fails it. Test events are sent once, even to a
+ * disabled endpoint, and never retried. Resolves to the recorded attempt.
+ */
+async function attemptDelivery(deliveryRef) {
+    const delivery = (await deliveryRef.get()).data();
+    const endpointDoc = await deliveryRef.parent.parent.collection('webhooks').doc(delivery.endpointId).get();
+    const attempts = delivery.attempts + 1;
+    let attempt = { at: new Date(), statusCode: null, error: null, durationMs: 0 };
+    let delivered = false;
+    let retry = delivery.type !== 'test';
+    if (!endpointDoc.exists) {
+        attempt.error = 'The endpoint was deleted.';
+        retry = false;
+    } else if (!endpointDoc.data().active && delivery.type !== 'test') {
+        attempt.error = 'The endpoint is disabled.';
+        retry = false;
+    } else {
+        ({ delivered, attempt } = await sendDelivery(endpointDoc.data(), deliveryRef.id, delivery.type, delivery.payload));
+    }
+
+    const updates = {
+        attempts,
+        lastStatusCode: attempt.statusCode,
+        lastError: attempt.error,
+        attemptLog: admin.firestore.FieldValue.arrayUnion(attempt),
+        lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (delivered) {
+        Object.assign(updates, { status: 'delivered', deliveredAt: admin.firestore.FieldValue.serverTimestamp(), nextAttemptAt: null });
+    } else if (!retry || attempts >= MAX_ATTEMPTS) {
+        Object.assign(updates, { status: 'failed', nextAttemptAt: null });
+    } else {
+        const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+        updates.nextAttemptAt = admin.firestore.Timestamp.fromMillis(Date.now() + delay);
+    }
+    await deliveryRef.update(updates);
+    return { ...attempt, status: updates.status || 'pending' };
+}
+
+/**
+ * Claims a due delivery so that an overlapping run does not send it too.
+ * Resolves to false when it was already taken or is no longer due.
+ */
+function claimDelivery(deliveryRef, now) {
+    return db.runTransaction(async (transaction) => {
+        const deliveryDoc = await transaction.get(deliveryRef);
+        const delivery = deliveryDoc.data();
+        if (!deliveryDoc.exists || delivery.status !== 'pending' || delivery.nextAttemptAt.toMillis() > now) {
+            return false;
+        }
+        transaction.update(deliveryRef, { nextAttemptAt: admin.firestore.Timestamp.fromMillis(now + CLAIM_MS) });
+        return true;
+    });
+}
+
+/**
+ * A scheduled HTTP function that sends the webhook deliveries that are due.
+ */
+functions.http('deliverWebhooks', async (req, res) => {
+    try {
+        const now = Date.now();
+        const snapshot = await db.collectionGroup('webhook_deliveries')
+            .where('status', '==', 'pending')
+            .where('nextAttemptAt', '<=', admin.firestore.Timestamp.fromMillis(now))
+            .orderBy('nextAttemptAt')
+            .limit(MAX_DELIVERIES_PER_RUN)
+            .get();
+
+        const counts = { delivered: 0, retrying: 0, failed: 0, skipped: 0, errors: 0 };
+        for (let i = 0; i < snapshot.docs.length; i += CONCURRENT_DELIVERIES) {
+            await Promise.all(snapshot.docs.slice(i, i + CONCURRENT_DELIVERIES).map(async (deliveryDoc) => {
+                try {
+                    if (!(await claimDelivery(deliveryDoc.ref, now))) {
+                        counts.skipped++;
+                        return;
+                    }
+                    const { status } = await attemptDelivery(deliveryDoc.ref);
+                    counts[status === 'pending' ? 'retrying' : status]++;
+                } catch (error) {
+                    console.error(`Error sending webhook delivery ${deliveryDoc.ref.path}:`, error);
+                    counts.errors++;
+                }
+            }));
+        }
+        return res.status(200).send(counts);
+    } catch (error) {
+        console.error('Error in deliverWebhooks:', error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
@@ -0,0 +1,323 @@
+/**
+ * index.js for the 'exportJob' HTTP Cloud Function
+ *
+ * Exports every row of a tenant's job, read from Firestore a page at a time,
+ * as CSV, XLSX or JSON. The export is streamed straight into a GCS object
+ * under `exports/{tenantId}/{jobId}/`, so no format ever holds the whole job
+ * in memory, and the caller receives a short-lived signed link to download it.
+ *
+ * Options:
+ * - `format`: 'csv' (default), 'xlsx' or 'json'.
+ * - `columns`: the original columns to include, in order. Defaults to the
+ *   columns of the job's first row.
+ * - `includeReviewState`: adds the row's review state and who set it (default true).
+ * - `includeAudit`: adds each row's audit trail. Costs one extra read per row.
+ *
+ * XLSX exports have a 'Rows' sheet and a 'Summary' sheet with the row count
+ * and average confidence per cost pool and sub-pool.
+ *
+ * Signing the link needs the function's service account to hold the
+ * 'Service Account Token Creator' role on itself.
+ *
+ * gcloud functions deploy exportJob --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated --timeout=540s --memory=1GiB
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { Storage } = require('@google-cloud/storage');
+const ExcelJS = require('exceljs');
+const { isTenantSuspended } = require('./tenancy');
+
+// --- CONFIGURATION ---
+const EXPORT_BUCKET = 'clarity-data';
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+const PAGE_SIZE = 500;
+const LINK_TTL_MS = 60 * 60 * 1000;
+const CLASSIFICATION_COLUMNS = ['cost_pool', 'cost_sub_pool', 'confidence', 'reasoning', 'classification_source', 'failure_reason', 'manually_edited'];
+const REVIEW_COLUMNS = ['review_state', 'review_state_by', 'review_state_at'];
+const AUDIT_COLUMNS = ['audit_changes', 'last_changed_by', 'last_changed_at', 'audit_history'];
+
+// Initialize clients
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+const bucket = new Storage().bucket(EXPORT_BUCKET);
+
+/**
+ * Reads a job's rows in row order, a page at a time, so the export never
+ * holds more than one page of rows.
+ */
+async function* readRows(jobDocRef) {
+    let query = jobDocRef.collection('rows').orderBy('row_index').limit(PAGE_SIZE);
+    while (true) {
+        const snapshot = await query.get();
+        for (const rowDoc of snapshot.docs) yield rowDoc;
+        if (snapshot.size < PAGE_SIZE) return;
+        query = query.startAfter(snapshot.docs[snapshot.size - 1]);
+    }
+}
+
+async function readAuditTrail(rowDoc) {
+    const snapshot = await rowDoc.ref.collection('audit_trail').orderBy('timestamp').get();
+    return snapshot.docs.map(entryDoc => {
+        const entry = entryDoc.data();
+        return { ...entry, timestamp: toIsoString(entry.timestamp) };
+    });
+}
+
+function toIsoString(timestamp) {
+    return timestamp ? timestamp.toDate().toISOString() : null;
+}
+
+// Original columns are prefixed only where they would clash with an exported field.
+function originalColumnKey(column) {
+    return [...CLASSIFICATION_COLUMNS, ...REVIEW_COLUMNS, ...AUDIT_COLUMNS].includes(column) ? `original_${column}` : column;
+}
+
+/**
+ * Flattens a row to the export's fields, keyed by their column headers.
+ */
+function exportRecord(row, columns, options, auditTrail) {
+    const record = {};
+    for (const column of columns) {
+        record[originalColumnKey(column)] = row.original_data?.[column] ?? '';
+    }
+    for (const column of CLASSIFICATION_COLUMNS) {
+        record[column] = row[column] ?? (column === 'manually_edited' ? false : '');
+    }
+    if (options.includeReviewState) {
+        record.review_state = row.review_state || 'suggested';
+        record.review_state_by = row.review_state_by || '';
+        record.review_state_at = toIsoString(row.review_state_at) || '';
+    }
+    if (auditTrail) {
+        const lastEntry = auditTrail[auditTrail.length - 1];
+        record.audit_changes = auditTrail.length;
+        record.last_changed_by = lastEntry?.changedBy || '';
+        record.last_changed_at = lastEntry?.timestamp || '';
+        record.audit_history = auditTrail.map(entry => `${entry.timestamp} ${entry.changedBy} ${entry.field}: ${entry.oldValue} -> ${entry.newValue}`).join('; ');
+    }
+    return record;
+}
+
+function outputColumns(columns, options) {
+    return [
+        ...columns.map(originalColumnKey),
+        ...CLASSIFICATION_COLUMNS,
+        ...(options.includeReviewState ? REVIEW_COLUMNS : []),
+        ...(options.includeAudit ? AUDIT_COLUMNS : []),
+    ];
+}
+
+// Quotes every field, so values with delimiters, quotes or line breaks survive.
+function csvLine(values) {
+    return values.map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(',') + '\r\n';
+}
+
+/**
+ * Writes to a stream, waiting for it to drain when its buffer is full.
+ */
+async function write(stream, chunk) {
+    if (!stream.write(chunk)) {
+        await new Promise((resolve, reject) => {
+            stream.once('drain', resolve);
+            stream.once('error', reject);
+        });
+    }
+}
+
+function finish(stream) {
+    return new Promise((resolve, reject) => {
+        stream.once('finish', resolve);
+        stream.once('error', reject);
+        stream.end();
+    });
+}
+
+/**
+ * Creates the writer for one export format. Each writer takes the export's
+ * column headers and its records in order, and `close` ends the output
+ * stream. `close` receives the pool/sub-pool summary, which only XLSX uses.
+ */
+function createFormatWriter(format, output, columns) {
+    switch (format) {
+        case 'csv':
+            return {
+                start: () => write(output, '\uFEFF' + csvLine(columns)),
+                add: (record) => write(output, csvLine(columns.map(column => record[column]))),
+                close: () => finish(output),
+            };
+        case 'json': {
+            let first = true;
+            return {
+                start: () => write(output, '['),
+                add: (record) => {
+                    const chunk = (first ? '\n' : ',\n') + JSON.stringify(record);
+                    first = false;
+                    return write(output, chunk);
+                },
+                close: async () => {
+                    await write(output, '\n]\n');
+                    await finish(output);
+                },
+            };
+        }
+        case 'xlsx': {
+            const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useSharedStrings: false, useStyles: true });
+            const sheet = workbook.addWorksheet('Rows');
+            return {
+                start: async () => {
+                    sheet.columns = columns.map(column => ({ header: column, key: column, width: 20 }));
+                    sheet.getRow(1).font = { bold: true };
+                },
+                add: async (record) => {
+                    sheet.addRow(record).commit();
+                },
+                close: async (summary) => {
+                    sheet.commit();
+                    const summarySheet = workbook.addWorksheet('Summary');
+                    summarySheet.columns = [
+                        { header: 'Cost Pool', key: 'cost_pool', width: 30 },
+                        { header: 'Cost Sub-Pool', key: 'cost_sub_pool', width: 30 },
+                        { header: 'Rows', key: 'rows', width: 10 },
+                        { header: 'Average Confidence', key: 'averageConfidence', width: 20 },
+                    ];
+                    summarySheet.getRow(1).font = { bold: true };
+                    const entries = [...summary.values()].sort((a, b) => a.cost_pool.localeCompare(b.cost_pool) || a.cost_sub_pool.localeCompare(b.cost_sub_pool));
+                    for (const entry of entries) {
+                        summarySheet.addRow({
+                            cost_pool: entry.cost_pool,
+                            cost_sub_pool: entry.cost_sub_pool,
+                            rows: entry.rows,
+                            averageConfidence: Math.round(entry.confidenceTotal / entry.rows * 100) / 100,
+                        }).commit();
+                    }
+                    summarySheet.commit();
+                    // The workbook writer ends the output stream itself.
+                    const finished = new Promise((resolve, reject) => {
+                        output.once('finish', resolve);
+                        output.once('error', reject);
+                    });
+                    await workbook.commit();
+                    await finished;
+                },
+            };
+        }
+    }
+}
+
+/**
+ * A secure, authenticated HTTP function that exports a job.
+ */
+functions.http('exportJob', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    // Every role may read a job, so every role may export it.
+    const { tenantId, email } = decodedToken;
+    if (!tenantId) {
+        return res.status(403).send({ error: 'Forbidden: User is not assigned to a tenant.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    // --- Validation ---
+    const { jobId, format = 'csv', columns, includeReviewState = true, includeAudit = false } = req.body;
+    if (typeof jobId !== 'string' || !jobId || jobId.includes('/')) {
+        return res.status(400).send({ error: 'A jobId is required.' });
+    }
+    if (!EXPORT_FORMATS[format]) {
+        return res.status(400).send({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+    }
+    if (columns !== undefined && (!Array.isArray(columns) || columns.some(column => typeof column !== 'string' || !column))) {
+        return res.status(400).send({ error: 'columns must be a list of column names.' });
+    }
+    const options = { includeReviewState: includeReviewState !== false, includeAudit: includeAudit === true };
+
+    let file = null;
+    try {
+        const jobDocRef = db.collection('tenants').doc(tenantId).collection('jobs').doc(jobId);
+        file = bucket.file(`exports/${tenantId}/${jobId}/${Date.now()}.${EXPORT_FORMATS[format].extension}`);
+        const jobDoc = await jobDocRef.get();
+        if (!jobDoc.exists) {
+            return res.status(404).send({ error: 'Job not found.' });
+        }
+        if (jobDoc.data().rowsPurgedAt) {
+            return res.status(409).send({ error: "The job's rows have been purged under the tenant's retention policy." });
+        }
+
+        const output = file.createWriteStream({
+            resumable: false,
+            metadata: { contentType: EXPORT_FORMATS[format].contentType, metadata: { exportedBy: email } },
+        });
+        let writer = null;
+        let exportColumns = columns;
+        let rowCount = 0;
+        const summary = new Map();
+
+        for await (const rowDoc of readRows(jobDocRef)) {
+            const row = rowDoc.data();
+            if (!writer) {
+                exportColumns = exportColumns || Object.keys(row.original_data || {});
+                writer = createFormatWriter(format, output, outputColumns(exportColumns, options));
+                await writer.start();
+            }
+            const auditTrail = options.includeAudit ? await readAuditTrail(rowDoc) : null;
+            const record = exportRecord(row, exportColumns, options, auditTrail);
+            await writer.add(format === 'json' && auditTrail ? { ...record, audit_history: auditTrail } : record);
+
+            const key = `${record.cost_pool}\u0000${record.cost_sub_pool}`;
+            const entry = summary.get(key) || { cost_pool: String(record.cost_pool), cost_sub_pool: String(record.cost_sub_pool), rows: 0, confidenceTotal: 0 };
+            entry.rows++;
+            entry.confidenceTotal += Number(record.confidence) || 0;
+            summary.set(key, entry);
+            rowCount++;
+        }
+        if (!writer) {
+            // A job without rows still exports its header.
+            writer = createFormatWriter(format, output, outputColumns(exportColumns || [], options));
+            await writer.start();
+        }
+        await writer.close(summary);
+
+        const filename = `processed_${jobId}.${EXPORT_FORMATS[format].extension}`;
+        const [url] = await file.getSignedUrl({
+            version: 'v4',
+            action: 'read',
+            expires: Date.now() + LINK_TTL_MS,
+            responseDisposition: `attachment; filename="${filename}"`,
+        });
+        console.log(`Exported ${rowCount} rows of job ${jobId} for tenant ${tenantId} as ${format} to ${file.name}.`);
+        return res.status(200).send({ url, filename, rowCount, expiresAt: new Date(Date.now() + LINK_TTL_MS).toISOString() });
+    } catch (error) {
+        console.error(`Error exporting job ${jobId} for tenant ${tenantId}:`, error);
+        // Do not leave a partial export behind.
+        if (file) await file.delete({ ignoreNotFound: true }).catch(() => {});
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
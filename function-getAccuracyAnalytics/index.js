@@ -0,0 +1,283 @@
+/**
+ * index.js for the 'getAccuracyAnalytics' HTTP Cloud Function
+ *
+ * Measures how often people override the suggested classification, across
+ * all of a tenant's completed jobs (optionally those created between `from`
+ * and `to`). Two stored sources are combined:
+ *
+ * - each job's `summary` (see the processing job's summary.js), with the
+ *   rows now in every pool and sub-pool and a confidence histogram;
+ * - the `corrections` of those jobs, one per manually edited row, holding
+ *   the suggestion (`ai_cost_pool`, `ai_cost_sub_pool`, `ai_confidence`) and
+ *   the person's latest choice, read by job ID.
+ *
+ * A row a person moved from pool A to pool B is counted in B by the summary,
+ * so the rows suggested per pool are the summary's rows, minus the corrected
+ * rows moved in, plus those moved out. The response holds the override rate
+ * per pool and sub-pool, the most frequent confusion pairs (suggested versus
+ * chosen), accuracy per confidence band and the override rate per month.
+ * Jobs from before summaries were recorded, and jobs whose rows were purged
+ * under the retention policy, are skipped and counted.
+ *
+ * gcloud functions deploy getAccuracyAnalytics --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { isTenantSuspended } = require('./tenancy');
+
+// Initialize clients
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+// Matches the histogram buckets of the job summary: [0, 0.1), ... [0.9, 1].
+const CONFIDENCE_BANDS = 10;
+const MAX_CONFUSION_PAIRS = 50;
+// Job IDs per `in` query of the corrections, Firestore's limit for `in`, and queries sent at once.
+const JOBS_PER_CORRECTIONS_QUERY = 30;
+const CONCURRENT_CORRECTIONS_QUERIES = 10;
+
+function subPoolKey(pool, subPool) {
+    return `${pool}\u0000${subPool}`;
+}
+
+function tally(counts, key, amount = 1) {
+    counts.set(key, (counts.get(key) || 0) + amount);
+}
+
+function confidenceBand(confidence) {
+    const clamped = Math.min(Math.max(confidence, 0), 1);
+    return Math.min(Math.floor(clamped * CONFIDENCE_BANDS), CONFIDENCE_BANDS - 1);
+}
+
+function rate(overrides, rows) {
+    return rows > 0 ? Math.round(overrides / rows * 10000) / 10000 : null;
+}
+
+function topPairs(pairs) {
+    return [...pairs.entries()]
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, MAX_CONFUSION_PAIRS)
+        .map(([key, count]) => ({ ...JSON.parse(key), count }));
+}
+
+/**
+ * Reads the corrections of the given jobs only, grouped by job ID.
+ */
+async function getCorrectionsByJob(tenantRef, jobIds) {
+    const batches = [];
+    for (let i = 0; i < jobIds.length; i += JOBS_PER_CORRECTIONS_QUERY) {
+        batches.push(jobIds.slice(i, i + JOBS_PER_CORRECTIONS_QUERY));
+    }
+    const correctionsByJob = new Map();
+    for (let i = 0; i < batches.length; i += CONCURRENT_CORRECTIONS_QUERIES) {
+        const snapshots = await Promise.all(batches.slice(i, i + CONCURRENT_CORRECTIONS_QUERIES).map(batch => tenantRef.collection('corrections')
+            .where('jobId', 'in', batch)
+            .select('jobId', 'ai_cost_pool', 'ai_cost_sub_pool', 'ai_confidence', 'cost_pool', 'cost_sub_pool')
+            .get()));
+        for (const correctionDoc of snapshots.flatMap(snapshot => snapshot.docs)) {
+            const correction = correctionDoc.data();
+            if (!correctionsByJob.has(correction.jobId)) correctionsByJob.set(correction.jobId, []);
+            correctionsByJob.get(correction.jobId).push(correction);
+        }
+    }
+    return correctionsByJob;
+}
+
+/**
+ * Adds one job's suggested rows and overrides to the tenant-wide totals.
+ */
+function addJob(totals, job, corrections) {
+    const suggestedPools = new Map();
+    const suggestedSubPools = new Map();
+    for (const [pool, poolTotals] of Object.entries(job.summary.pools || {})) {
+        tally(suggestedPools, pool, poolTotals.rows);
+        for (const [subPool, subTotals] of Object.entries(poolTotals.subPools || {})) {
+            tally(suggestedSubPools, subPoolKey(pool, subPool), subTotals.rows);
+        }
+    }
+
+    let jobOverrides = 0;
+    for (const correction of corrections) {
+        const suggestedPool = correction.ai_cost_pool || 'Unclassified';
+        const chosenPool = correction.cost_pool || 'Unclassified';
+        // Move the row back to the pool that was suggested.
+        tally(suggestedPools, chosenPool, -1);
+        tally(suggestedPools, suggestedPool, 1);
+        if (correction.cost_sub_pool) tally(suggestedSubPools, subPoolKey(chosenPool, correction.cost_sub_pool), -1);
+        if (correction.ai_cost_sub_pool) tally(suggestedSubPools, subPoolKey(suggestedPool, correction.ai_cost_sub_pool), 1);
+
+        const poolOverridden = suggestedPool !== chosenPool;
+        const subPoolOverridden = poolOverridden || (correction.ai_cost_sub_pool || null) !== (correction.cost_sub_pool || null);
+        if (!subPoolOverridden) continue; // Edited back to the suggestion.
+
+        jobOverrides++;
+        if (poolOverridden) {
+            tally(totals.poolOverrides, suggestedPool);
+            tally(totals.poolPairs, JSON.stringify({ suggested: suggestedPool, chosen: chosenPool }));
+        }
+        if (correction.ai_cost_sub_pool) tally(totals.subPoolOverrides, subPoolKey(suggestedPool, correction.ai_cost_sub_pool));
+        tally(totals.subPoolPairs, JSON.stringify({
+            suggested: { cost_pool: suggestedPool, cost_sub_pool: correction.ai_cost_sub_pool || null },
+            chosen: { cost_pool: chosenPool, cost_sub_pool: correction.cost_sub_pool || null },
+        }));
+        if (typeof correction.ai_confidence === 'number') {
+            totals.bandOverrides[confidenceBand(correction.ai_confidence)]++;
+        } else {
+            // Corrections recorded before the suggestion's confidence was kept.
+            totals.overridesWithoutConfidence++;
+        }
+    }
+
+    for (const [pool, rows] of suggestedPools) tally(totals.poolRows, pool, rows);
+    for (const [key, rows] of suggestedSubPools) tally(totals.subPoolRows, key, rows);
+    (job.summary.confidenceHistogram || []).forEach((rows, band) => { totals.bandRows[band] += rows; });
+
+    const month = job.createdAt ? job.createdAt.toDate().toISOString().slice(0, 7) : 'Unknown';
+    const monthTotals = totals.months.get(month) || { rows: 0, overrides: 0, jobs: 0 };
+    monthTotals.rows += job.summary.rows || 0;
+    monthTotals.overrides += jobOverrides;
+    monthTotals.jobs++;
+    totals.months.set(month, monthTotals);
+    totals.rows += job.summary.rows || 0;
+    totals.overrides += jobOverrides;
+}
+
+function report(totals) {
+    const subPoolsByPool = new Map();
+    for (const [key, rows] of totals.subPoolRows) {
+        const [pool, subPool] = key.split('\u0000');
+        const overrides = totals.subPoolOverrides.get(key) || 0;
+        if (rows <= 0 && overrides === 0) continue;
+        if (!subPoolsByPool.has(pool)) subPoolsByPool.set(pool, []);
+        subPoolsByPool.get(pool).push({ cost_sub_pool: subPool, rows, overrides, overrideRate: rate(overrides, rows) });
+    }
+    const pools = [...totals.poolRows.entries()]
+        .filter(([pool, rows]) => rows > 0 || totals.poolOverrides.has(pool))
+        .map(([pool, rows]) => {
+            const overrides = totals.poolOverrides.get(pool) || 0;
+            const subPools = (subPoolsByPool.get(pool) || []).sort((a, b) => b.overrides - a.overrides || b.rows - a.rows);
+            return { cost_pool: pool, rows, overrides, overrideRate: rate(overrides, rows), subPools };
+        })
+        .sort((a, b) => b.overrides - a.overrides || b.rows - a.rows);
+
+    return {
+        jobs: totals.jobs,
+        jobsWithoutSummary: totals.jobsWithoutSummary,
+        jobsPurged: totals.jobsPurged,
+        rows: totals.rows,
+        overrides: totals.overrides,
+        overrideRate: rate(totals.overrides, totals.rows),
+        pools,
+        confusionPairs: topPairs(totals.poolPairs),
+        subPoolConfusionPairs: topPairs(totals.subPoolPairs),
+        confidenceBands: totals.bandRows.map((rows, band) => ({
+            from: band / CONFIDENCE_BANDS,
+            to: (band + 1) / CONFIDENCE_BANDS,
+            rows,
+            overrides: totals.bandOverrides[band],
+            accuracy: rows > 0 ? Math.round((1 - totals.bandOverrides[band] / rows) * 10000) / 10000 : null,
+        })),
+        overridesWithoutConfidence: totals.overridesWithoutConfidence,
+        trend: [...totals.months.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([month, monthTotals]) => ({ month, ...monthTotals, overrideRate: rate(monthTotals.overrides, monthTotals.rows) })),
+    };
+}
+
+/**
+ * A secure, authenticated HTTP function for a tenant's accuracy analytics.
+ */
+functions.http('getAccuracyAnalytics', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const { tenantId } = decodedToken;
+    if (!tenantId) {
+        return res.status(403).send({ error: 'Forbidden: User is not assigned to a tenant.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    // An optional range of job creation dates, as ISO dates.
+    const { from, to } = req.body || {};
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+        return res.status(400).send({ error: 'from and to must be ISO dates.' });
+    }
+
+    const tenantRef = db.collection('tenants').doc(tenantId);
+    try {
+        let jobsQuery = tenantRef.collection('jobs');
+        if (fromDate) jobsQuery = jobsQuery.where('createdAt', '>=', fromDate);
+        if (toDate) jobsQuery = jobsQuery.where('createdAt', '<', toDate);
+        const jobsSnapshot = await jobsQuery.select('status', 'createdAt', 'summary', 'rowsPurgedAt').get();
+
+        const totals = {
+            jobs: 0,
+            jobsWithoutSummary: 0,
+            jobsPurged: 0,
+            rows: 0,
+            overrides: 0,
+            poolRows: new Map(),
+            poolOverrides: new Map(),
+            subPoolRows: new Map(),
+            subPoolOverrides: new Map(),
+            poolPairs: new Map(),
+            subPoolPairs: new Map(),
+            bandRows: new Array(CONFIDENCE_BANDS).fill(0),
+            bandOverrides: new Array(CONFIDENCE_BANDS).fill(0),
+            overridesWithoutConfidence: 0,
+            months: new Map(),
+        };
+        const countedJobDocs = [];
+        for (const jobDoc of jobsSnapshot.docs) {
+            const job = jobDoc.data();
+            if (job.status !== 'completed') continue;
+            if (!job.summary) {
+                totals.jobsWithoutSummary++;
+                continue;
+            }
+            if (job.rowsPurgedAt) {
+                // Its corrections were purged with its rows, so its overrides can no longer be counted.
+                totals.jobsPurged++;
+                continue;
+            }
+            countedJobDocs.push(jobDoc);
+        }
+
+        const correctionsByJob = await getCorrectionsByJob(tenantRef, countedJobDocs.map(jobDoc => jobDoc.id));
+        for (const jobDoc of countedJobDocs) {
+            totals.jobs++;
+            addJob(totals, jobDoc.data(), correctionsByJob.get(jobDoc.id) || []);
+        }
+
+        return res.status(200).send(report(totals));
+    } catch (error) {
+        console.error(`Error computing accuracy analytics for tenant ${tenantId}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
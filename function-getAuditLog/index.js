@@ -0,0 +1,151 @@
+/**
+ * index.js for the 'getAuditLog' HTTP Cloud Function
+ *
+ * Reads the administrative audit log that the admin and configuration
+ * functions append to (`tenants/{tenantId}/audit_log`): user invitations,
+ * role changes, disabled and deleted users, pipeline, rule, taxonomy and
+ * settings changes, API keys created, re-scoped and revoked, webhook
+ * endpoint changes, job approvals, and tenant creation, renames, quota
+ * changes and suspensions. Each entry
+ * records the actor, the target, the values before and after, and the
+ * caller's IP and user agent. No entry is ever updated, and entries are only
+ * deleted with their tenant.
+ *
+ * Tenant admins read their own tenant's log. Super admins read any tenant's
+ * log, or every tenant's at once when no tenantId is given. The latter also
+ * includes the platform-wide `audit_log` collection, where tenant deletions
+ * are recorded.
+ *
+ * Entries are returned newest first, a page at a time. Filters: `action`
+ * (an exact action or a prefix ending in '.', e.g. 'user.'), `actorEmail`,
+ * `targetType`, and a `from`/`to` date range. The date range is applied by
+ * the query; the other filters while scanning, so a page may come back short
+ * with a `nextCursor` when few entries match.
+ *
+ * gcloud functions deploy getAuditLog --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { isTenantSuspended } = require('./tenancy');
+
+// Initialize clients
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Entries read per query, and at most per request, while applying the filters.
+const SCAN_CHUNK_SIZE = 200;
+const MAX_SCANNED = 2000;
+
+function matchesFilters(entry, { action, actorEmail, targetType }) {
+    if (action && !(action.endsWith('.') ? entry.action?.startsWith(action) : entry.action === action)) return false;
+    if (actorEmail && entry.actor?.email?.toLowerCase() !== actorEmail.toLowerCase()) return false;
+    if (targetType && entry.target?.type !== targetType) return false;
+    return true;
+}
+
+function toResponseEntry(entryDoc) {
+    const entry = entryDoc.data();
+    return {
+        id: entryDoc.id,
+        ...entry,
+        timestamp: entry.timestamp ? entry.timestamp.toDate().toISOString() : null,
+    };
+}
+
+/**
+ * A secure, authenticated HTTP function for reading the audit log.
+ */
+functions.http('getAuditLog', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const isSuperAdmin = decodedToken.superAdmin === true;
+    if (!isSuperAdmin && (decodedToken.role !== 'admin' || !decodedToken.tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: Only admins can read the audit log.' });
+    }
+    if (!isSuperAdmin && await isTenantSuspended(decodedToken.tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    // --- Validation ---
+    const { action, actorEmail, targetType, from, to, cursor } = req.body || {};
+    // Tenant admins are always limited to their own tenant.
+    const tenantId = isSuperAdmin ? req.body?.tenantId || null : decodedToken.tenantId;
+    const pageSize = Math.min(Number.isInteger(req.body?.pageSize) && req.body.pageSize > 0 ? req.body.pageSize : DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+        return res.status(400).send({ error: 'from and to must be ISO dates.' });
+    }
+    if (cursor !== undefined && (typeof cursor !== 'string' || !/^(tenants\/[^/]+\/)?audit_log\/[^/]+$/.test(cursor)
+        || (tenantId && !cursor.startsWith(`tenants/${tenantId}/audit_log/`)))) {
+        return res.status(400).send({ error: 'Invalid cursor.' });
+    }
+
+    try {
+        let query = tenantId
+            ? db.collection('tenants').doc(tenantId).collection('audit_log')
+            : db.collectionGroup('audit_log');
+        if (fromDate) query = query.where('timestamp', '>=', fromDate);
+        if (toDate) query = query.where('timestamp', '<', toDate);
+        query = query.orderBy('timestamp', 'desc');
+
+        let lastDoc = null;
+        if (cursor) {
+            lastDoc = await db.doc(cursor).get();
+            if (!lastDoc.exists) {
+                return res.status(400).send({ error: 'Invalid cursor.' });
+            }
+        }
+
+        const entries = [];
+        let scanned = 0;
+        let exhausted = false;
+        while (entries.length < pageSize && scanned < MAX_SCANNED) {
+            const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).limit(SCAN_CHUNK_SIZE).get();
+            for (const entryDoc of snapshot.docs) {
+                scanned++;
+                lastDoc = entryDoc;
+                if (matchesFilters(entryDoc.data(), { action, actorEmail, targetType })) {
+                    entries.push(toResponseEntry(entryDoc));
+                    if (entries.length === pageSize) break;
+                }
+            }
+            if (snapshot.size < SCAN_CHUNK_SIZE && entries.length < pageSize) {
+                exhausted = true;
+                break;
+            }
+        }
+
+        return res.status(200).send({
+            entries,
+            nextCursor: exhausted || !lastDoc ? null : lastDoc.ref.path,
+        });
+    } catch (error) {
+        console.error(`Error reading the audit log${tenantId ? ` of tenant ${tenantId}` : ''}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
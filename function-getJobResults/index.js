@@ -0,0 +1,159 @@
+/**
+ * index.js for the 'getJobResults' HTTP Cloud Function
+ *
+ * A read-only endpoint for a tenant's results, meant for integrations such as
+ * an ERP that pulls classifications after uploading a file. Without a
+ * `jobId` it lists the tenant's jobs, newest first, with their status,
+ * progress and summary; `status` narrows the list. With a `jobId` it returns
+ * that job and a page of its classified rows in row order. Both are paged:
+ * pass the `nextCursor` of a response as `cursor` to get the next page.
+ *
+ * Callers send a tenant API key with the `read` scope in the `X-Api-Key`
+ * header (see the manageApiKeys function), or sign in like every other
+ * function; every user of the tenant may read its results.
+ *
+ * gcloud functions deploy getJobResults --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { isTenantSuspended } = require('./tenancy');
+const { authenticateApiKey } = require('./apiKeys');
+
+// Initialize clients
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+const DEFAULT_JOB_PAGE_SIZE = 50;
+const MAX_JOB_PAGE_SIZE = 200;
+const DEFAULT_ROW_PAGE_SIZE = 500;
+const MAX_ROW_PAGE_SIZE = 1000;
+const JOB_FIELDS = ['originalFilename', 'pipelineId', 'status', 'createdAt', 'totalRows', 'progress', 'summary', 'classificationCounts', 'unclassifiableRows', 'reviewCounts', 'reviewStatus', 'taxonomy', 'taxonomyVersion', 'error', 'quotaExceeded', 'rowsPurgedAt'];
+const ROW_FIELDS = ['row_index', 'original_data', 'cost_pool', 'cost_sub_pool', 'confidence', 'reasoning', 'classification_source', 'failure_reason', 'manually_edited', 'review_state', 'review_state_by', 'review_state_at', 'amount', 'currency', 'period'];
+
+/**
+ * A stored value as JSON, with Firestore timestamps as ISO dates.
+ */
+function toJson(value) {
+    if (value instanceof admin.firestore.Timestamp) return value.toDate().toISOString();
+    if (Array.isArray(value)) return value.map(toJson);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, toJson(entry)]));
+    }
+    return value;
+}
+
+function pick(data, fields) {
+    return Object.fromEntries(fields.filter(field => data[field] !== undefined).map(field => [field, toJson(data[field])]));
+}
+
+function pageSizeOf(value, defaultSize, maxSize) {
+    return Math.min(Number.isInteger(value) && value > 0 ? value : defaultSize, maxSize);
+}
+
+/**
+ * A secure, authenticated, read-only HTTP function for a tenant's results.
+ */
+functions.http('getJobResults', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    let caller;
+    if (req.headers['x-api-key']) {
+        let result;
+        try {
+            result = await authenticateApiKey(req, 'read');
+        } catch (error) {
+            console.error('Error verifying an API key:', error);
+            return res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+        }
+        if (!result.caller) {
+            return res.status(result.status).send({ error: result.error });
+        }
+        caller = result.caller;
+    } else {
+        const idToken = req.headers.authorization?.split('Bearer ')[1];
+        if (!idToken) {
+            return res.status(401).send({ error: 'Unauthorized' });
+        }
+        try {
+            caller = await auth.verifyIdToken(idToken);
+        } catch (error) {
+            return res.status(401).send({ error: 'Invalid token.' });
+        }
+    }
+
+    const { tenantId } = caller;
+    if (!tenantId) {
+        return res.status(403).send({ error: 'Forbidden: User is not assigned to a tenant.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    const { jobId, status, cursor } = req.body || {};
+    if (jobId !== undefined && (typeof jobId !== 'string' || !jobId || jobId.includes('/'))) {
+        return res.status(400).send({ error: 'jobId must be a job ID.' });
+    }
+    const jobsRef = db.collection('tenants').doc(tenantId).collection('jobs');
+
+    try {
+        if (!jobId) {
+            // The jobs, newest first; the cursor is the last job ID of the previous page.
+            if (cursor !== undefined && (typeof cursor !== 'string' || !cursor || cursor.includes('/'))) {
+                return res.status(400).send({ error: 'Invalid cursor.' });
+            }
+            const pageSize = pageSizeOf(req.body?.pageSize, DEFAULT_JOB_PAGE_SIZE, MAX_JOB_PAGE_SIZE);
+            let query = jobsRef;
+            if (status) query = query.where('status', '==', status);
+            query = query.orderBy('createdAt', 'desc');
+            if (cursor) {
+                const cursorDoc = await jobsRef.doc(cursor).get();
+                if (!cursorDoc.exists) {
+                    return res.status(400).send({ error: 'Invalid cursor.' });
+                }
+                query = query.startAfter(cursorDoc);
+            }
+            const snapshot = await query.select(...JOB_FIELDS).limit(pageSize).get();
+            return res.status(200).send({
+                jobs: snapshot.docs.map(jobDoc => ({ id: jobDoc.id, ...pick(jobDoc.data(), JOB_FIELDS) })),
+                nextCursor: snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null,
+            });
+        }
+
+        // One job and a page of its rows; the cursor is the last row index of the previous page.
+        if (cursor !== undefined && (!Number.isInteger(cursor) || cursor < 0)) {
+            return res.status(400).send({ error: 'Invalid cursor.' });
+        }
+        const jobDoc = await jobsRef.doc(jobId).get();
+        if (!jobDoc.exists) {
+            return res.status(404).send({ error: 'Job not found.' });
+        }
+        const job = { id: jobDoc.id, ...pick(jobDoc.data(), JOB_FIELDS) };
+        if (jobDoc.data().rowsPurgedAt) {
+            return res.status(200).send({ job, rows: [], nextCursor: null, rowsPurged: true });
+        }
+        const pageSize = pageSizeOf(req.body?.pageSize, DEFAULT_ROW_PAGE_SIZE, MAX_ROW_PAGE_SIZE);
+        let rowsQuery = jobDoc.ref.collection('rows').orderBy('row_index');
+        if (cursor !== undefined) rowsQuery = rowsQuery.startAfter(cursor);
+        const rowsSnapshot = await rowsQuery.select(...ROW_FIELDS).limit(pageSize).get();
+        const rows = rowsSnapshot.docs.map(rowDoc => ({ id: rowDoc.id, ...pick(rowDoc.data(), ROW_FIELDS) }));
+        return res.status(200).send({
+            job,
+            rows,
+            nextCursor: rows.length === pageSize ? rows[rows.length - 1].row_index : null,
+        });
+    } catch (error) {
+        console.error(`Error reading results for tenant ${tenantId}${jobId ? `, job ${jobId}` : ''}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
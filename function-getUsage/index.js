@@ -0,0 +1,125 @@
+/**
+ * index.js for the 'getUsage' HTTP Cloud Function
+ *
+ * Reports what a tenant has consumed, month by month, from the counters the
+ * uploadFile function and the processing job keep in
+ * `tenants/{tenantId}/usage/{YYYY-MM}`: files uploaded, rows and batches
+ * processed, AI calls, and input and output tokens. The current month is
+ * returned with the tenant's quotas (set by super admins through the
+ * manageTenant function) and how much of each is left.
+ *
+ * Tenant admins read their own tenant's usage; super admins may pass a
+ * tenantId.
+ *
+ * gcloud functions deploy getUsage --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+
+// Initialize clients
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+const USAGE_COUNTERS = ['files', 'rows', 'batches', 'aiCalls', 'inputTokens', 'outputTokens'];
+const QUOTA_METRICS = ['files', 'rows', 'aiCalls', 'tokens'];
+// Most recent months returned.
+const MAX_MONTHS = 12;
+
+function toMonth(usageDoc) {
+    const usage = usageDoc.data();
+    const month = { period: usageDoc.id };
+    for (const counter of USAGE_COUNTERS) month[counter] = usage[counter] || 0;
+    month.tokens = month.inputTokens + month.outputTokens;
+    month.updatedAt = usage.updatedAt ? usage.updatedAt.toDate().toISOString() : null;
+    return month;
+}
+
+/**
+ * Each quota of the current month with its limit, what was used and what is
+ * left. A null limit is unlimited.
+ */
+function describeQuotas(quotas, month) {
+    return QUOTA_METRICS.map(metric => {
+        const limit = quotas?.[metric] ?? null;
+        const used = month[metric];
+        return {
+            metric,
+            limit,
+            used,
+            remaining: limit === null ? null : Math.max(limit - used, 0),
+            exhausted: limit !== null && used >= limit,
+        };
+    });
+}
+
+/**
+ * A secure, authenticated HTTP function for a tenant's usage and quotas.
+ */
+functions.http('getUsage', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const isSuperAdmin = decodedToken.superAdmin === true;
+    if (!isSuperAdmin && (decodedToken.role !== 'admin' || !decodedToken.tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: Only admins can view usage.' });
+    }
+
+    // Tenant admins are always limited to their own tenant.
+    const tenantId = isSuperAdmin ? req.body?.tenantId || decodedToken.tenantId : decodedToken.tenantId;
+    if (typeof tenantId !== 'string' || !tenantId || tenantId.includes('/')) {
+        return res.status(400).send({ error: 'A tenantId is required.' });
+    }
+
+    const tenantRef = db.collection('tenants').doc(tenantId);
+    const period = new Date().toISOString().slice(0, 7);
+    try {
+        const [tenantDoc, usageSnapshot] = await Promise.all([
+            tenantRef.get(),
+            tenantRef.collection('usage')
+                .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+                .limit(MAX_MONTHS)
+                .get(),
+        ]);
+        if (!tenantDoc.exists) {
+            return res.status(404).send({ error: 'Tenant not found.' });
+        }
+        const tenant = tenantDoc.data();
+        if (!isSuperAdmin && ['suspended', 'deleting'].includes(tenant.status)) {
+            return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+        }
+
+        const months = usageSnapshot.docs.map(toMonth);
+        const current = months.find(month => month.period === period) || toMonth({ id: period, data: () => ({}) });
+        return res.status(200).send({
+            tenantId,
+            period,
+            current,
+            quotas: describeQuotas(tenant.quotas, current),
+            months,
+        });
+    } catch (error) {
+        console.error(`Error reading the usage of tenant ${tenantId}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
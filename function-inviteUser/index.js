@@ -1,6 +1,7 @@
 const functions = require('@google-cloud/functions-framework');
 const admin = require('firebase-admin');
 const sgMail = require('@sendgrid/mail');
+const { isTenantSuspended, recordAudit } = require('./tenancy');
 
 admin.initializeApp();
 const auth = admin.auth();
@@ -29,6 +30,10 @@ functions.http('inviteUser', async (req, res) => {
         return res.status(403).send({ error: 'Forbidden: Only admins can invite users.' });
     }
 
+    if (await isTenantSuspended(decodedToken.tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
     const { newEmail, newRole } = req.body;
     if (!newEmail || !newRole || !['uploader', 'viewer'].includes(newRole)) {
         return res.status(400).send({ error: 'Missing or invalid email/role.' });
@@ -54,6 +59,12 @@ functions.http('inviteUser', async (req, res) => {
           html: `<p>You have been invited to Project Clarity with the role: <strong>${newRole}</strong>.</p><p>Please click the link below to set up your account and create a password:</p><p><a href="${link}">Set Your Password</a></p>`,
         });
 
+        await recordAudit(req, decodedToken, decodedToken.tenantId, {
+            action: 'user.invite',
+            target: { type: 'user', id: userRecord.uid, email: newEmail },
+            after: { role: newRole },
+        });
+
         res.status(200).send({ message: `Successfully invited ${newEmail} as a ${newRole}.` });
     } catch (error) {
         res.status(500).send({ error: error.message });
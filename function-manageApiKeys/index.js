@@ -0,0 +1,207 @@
+/**
+ * index.js for the 'manageApiKeys' HTTP Cloud Function
+ *
+ * Lets tenant admins create, list, re-scope and revoke the tenant's API keys,
+ * so integrations can call the platform without a person signing in. A key
+ * is sent in the `X-Api-Key` header and has the form
+ * `clk.{tenantId}.{keyId}.{secret}`. It is shown once, when it is created;
+ * only a SHA-256 hash of the secret is stored, in
+ * `tenants/{tenantId}/api_keys/{keyId}`.
+ *
+ * Scopes limit what a key may do:
+ * - `upload`: upload files through the uploadFile function;
+ * - `read`: read jobs and classified rows through the getJobResults function;
+ * - `edit`: change rows through the updateRowClassification function.
+ *
+ * Those functions count every request a key makes on the key's document
+ * (`usage`, `lastUsedAt`), which the list reports. A revoked key is kept, so
+ * its usage stays visible, but is refused. Creating, re-scoping and revoking
+ * keys is recorded in the tenant's audit log.
+ *
+ * gcloud functions deploy manageApiKeys --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { isTenantSuspended, recordAudit } = require('./tenancy');
+
+// Initialize Firebase Admin SDK
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+const API_KEY_PREFIX = 'clk';
+const API_KEY_SCOPES = ['upload', 'read', 'edit'];
+const MAX_KEY_NAME_LENGTH = 100;
+const MAX_ACTIVE_KEYS = 50;
+
+function validateScopes(scopes) {
+    return Array.isArray(scopes) && scopes.length > 0 && scopes.every(scope => API_KEY_SCOPES.includes(scope))
+        ? null
+        : `scopes must list one or more of: ${API_KEY_SCOPES.join(', ')}.`;
+}
+
+function toIso(timestamp) {
+    return timestamp ? timestamp.toDate().toISOString() : null;
+}
+
+// A key as listed; the secret's hash never leaves the server.
+function describeKey(keyDoc) {
+    const key = keyDoc.data();
+    return {
+        id: keyDoc.id,
+        name: key.name,
+        prefix: key.prefix,
+        scopes: key.scopes,
+        createdBy: key.createdBy,
+        createdAt: toIso(key.createdAt),
+        revokedBy: key.revokedBy || null,
+        revokedAt: toIso(key.revokedAt),
+        lastUsedAt: toIso(key.lastUsedAt),
+        lastUsedIp: key.lastUsedIp || null,
+        usage: { requests: 0, ...Object.fromEntries(API_KEY_SCOPES.map(scope => [scope, 0])), ...key.usage },
+    };
+}
+
+/**
+ * A secure, authenticated HTTP function for managing a tenant's API keys.
+ */
+functions.http('manageApiKeys', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const { tenantId, role, email } = decodedToken;
+    if (!tenantId || role !== 'admin') {
+        return res.status(403).send({ error: 'Forbidden: Only admins can manage API keys.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    const { action, keyId } = req.body;
+    const keysRef = db.collection('tenants').doc(tenantId).collection('api_keys');
+    if (['updateScopes', 'revokeKey'].includes(action) && (typeof keyId !== 'string' || !keyId || keyId.includes('/'))) {
+        return res.status(400).send({ error: 'A keyId is required.' });
+    }
+
+    try {
+        // --- Action Dispatcher ---
+        switch (action) {
+            case 'listKeys': {
+                const snapshot = await keysRef.orderBy('createdAt', 'desc').get();
+                return res.status(200).send({ keys: snapshot.docs.map(describeKey) });
+            }
+
+            case 'createKey': {
+                const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+                if (!name || name.length > MAX_KEY_NAME_LENGTH) {
+                    return res.status(400).send({ error: `A name of 1 to ${MAX_KEY_NAME_LENGTH} characters is required.` });
+                }
+                const scopesError = validateScopes(req.body.scopes);
+                if (scopesError) {
+                    return res.status(400).send({ error: scopesError });
+                }
+                const activeKeys = await keysRef.where('revokedAt', '==', null).count().get();
+                if (activeKeys.data().count >= MAX_ACTIVE_KEYS) {
+                    return res.status(409).send({ error: `A tenant can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.` });
+                }
+
+                const scopes = API_KEY_SCOPES.filter(scope => req.body.scopes.includes(scope));
+                const keyRef = keysRef.doc();
+                const secret = crypto.randomBytes(32).toString('base64url');
+                const apiKey = `${API_KEY_PREFIX}.${tenantId}.${keyRef.id}.${secret}`;
+                await keyRef.set({
+                    name,
+                    scopes,
+                    secretHash: crypto.createHash('sha256').update(secret).digest('hex'),
+                    // Enough of the key to recognise it in lists and logs.
+                    prefix: `${API_KEY_PREFIX}.${tenantId}.${keyRef.id}.${secret.slice(0, 4)}`,
+                    createdBy: email,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    revokedAt: null,
+                    revokedBy: null,
+                    lastUsedAt: null,
+                    usage: { requests: 0 },
+                });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'apiKey.create',
+                    target: { type: 'apiKey', id: keyRef.id, name },
+                    after: { name, scopes },
+                });
+                // The only time the full key is returned.
+                return res.status(201).send({ message: `API key '${name}' created.`, apiKey, key: describeKey(await keyRef.get()) });
+            }
+
+            case 'updateScopes': {
+                const scopesError = validateScopes(req.body.scopes);
+                if (scopesError) {
+                    return res.status(400).send({ error: scopesError });
+                }
+                const keyDoc = await keysRef.doc(keyId).get();
+                if (!keyDoc.exists) {
+                    return res.status(404).send({ error: 'API key not found.' });
+                }
+                if (keyDoc.data().revokedAt) {
+                    return res.status(409).send({ error: 'The API key is revoked.' });
+                }
+                const scopes = API_KEY_SCOPES.filter(scope => req.body.scopes.includes(scope));
+                await keyDoc.ref.update({ scopes });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'apiKey.updateScopes',
+                    target: { type: 'apiKey', id: keyId, name: keyDoc.data().name },
+                    before: { scopes: keyDoc.data().scopes },
+                    after: { scopes },
+                });
+                return res.status(200).send({ message: 'API key scopes updated.', key: describeKey(await keyDoc.ref.get()) });
+            }
+
+            case 'revokeKey': {
+                const keyDoc = await keysRef.doc(keyId).get();
+                if (!keyDoc.exists) {
+                    return res.status(404).send({ error: 'API key not found.' });
+                }
+                if (keyDoc.data().revokedAt) {
+                    return res.status(409).send({ error: 'The API key is already revoked.' });
+                }
+                await keyDoc.ref.update({
+                    revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    revokedBy: email,
+                });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'apiKey.revoke',
+                    target: { type: 'apiKey', id: keyId, name: keyDoc.data().name },
+                    before: { revoked: false },
+                    after: { revoked: true },
+                });
+                return res.status(200).send({ message: `API key '${keyDoc.data().name}' revoked.` });
+            }
+
+            default:
+                return res.status(400).send({ error: 'Invalid action specified.' });
+        }
+    } catch (error) {
+        console.error(`Error performing API key action '${action}' for tenant ${tenantId}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
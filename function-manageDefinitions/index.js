@@ -0,0 +1,340 @@
+/**
+ * index.js for the 'manageDefinitions' HTTP Cloud Function
+ *
+ * This secure, multi-purpose function lets a tenant admin maintain the
+ * tenant's own custom classification taxonomy. The taxonomy is stored at
+ * `tenants/{tenantId}/definitions/custom` in the same shape as the global
+ * `definitions/hierarchical` document, so pipelines can switch between the
+ * two. Every change publishes a new immutable version under the document's
+ * `versions` subcollection, and any user can list or diff the versions of
+ * either taxonomy. The 'action' parameter in the request selects the operation.
+ * Every change is recorded in the tenant's audit log.
+ *
+ * gcloud functions deploy manageDefinitions --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { isTenantSuspended, recordAudit } = require('./tenancy');
+
+// Initialize Firebase Admin SDK
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+// Actions that only read the taxonomy and are open to every role in the tenant.
+const READ_ACTIONS = ['getDefinitions', 'listVersions', 'diffVersions'];
+
+/**
+ * Returns the head document of the 'standard' or the tenant's 'custom' taxonomy.
+ */
+function taxonomyRef(tenantId, taxonomy) {
+    return taxonomy === 'custom'
+        ? db.collection('tenants').doc(tenantId).collection('definitions').doc('custom')
+        : db.collection('definitions').doc('hierarchical');
+}
+
+/**
+ * Loads the definitions of one taxonomy version. Taxonomies written before
+ * versioning have no currentVersion and count as version 0.
+ */
+async function getVersionDefinitions(headRef, version) {
+    const headDoc = await headRef.get();
+    if (!headDoc.exists) return null;
+    if (version === (headDoc.data().currentVersion ?? 0)) {
+        return headDoc.data().data || {};
+    }
+    const versionDoc = await headRef.collection('versions').doc(String(version)).get();
+    return versionDoc.exists ? (versionDoc.data().data || {}) : null;
+}
+
+/**
+ * Compares two taxonomy versions. Pools and sub-pools count as changed when
+ * their definition text differs.
+ */
+function diffTaxonomies(fromDefs, toDefs) {
+    const diff = { addedPools: [], removedPools: [], changedPools: [], addedSubPools: [], removedSubPools: [], changedSubPools: [] };
+    for (const pool in fromDefs) {
+        if (!toDefs[pool]) {
+            diff.removedPools.push(pool);
+            continue;
+        }
+        if (fromDefs[pool].definition !== toDefs[pool].definition) {
+            diff.changedPools.push(pool);
+        }
+        const toSubPools = new Map(toDefs[pool].sub_pools.map(sp => [sp.name, sp.definition]));
+        const fromSubPools = new Set(fromDefs[pool].sub_pools.map(sp => sp.name));
+        for (const subPool of fromDefs[pool].sub_pools) {
+            if (!toSubPools.has(subPool.name)) {
+                diff.removedSubPools.push({ pool, subPool: subPool.name });
+            } else if (toSubPools.get(subPool.name) !== subPool.definition) {
+                diff.changedSubPools.push({ pool, subPool: subPool.name });
+            }
+        }
+        for (const subPool of toDefs[pool].sub_pools) {
+            if (!fromSubPools.has(subPool.name)) {
+                diff.addedSubPools.push({ pool, subPool: subPool.name });
+            }
+        }
+    }
+    for (const pool in toDefs) {
+        if (!fromDefs[pool]) diff.addedPools.push(pool);
+    }
+    return diff;
+}
+
+/**
+ * Reads a validated, trimmed name from the request body.
+ */
+function readName(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const name = value.trim();
+    // 'Unclassified' is reserved for rows the pipeline could not classify.
+    if (name === 'Unclassified') return null;
+    return name;
+}
+
+/**
+ * Applies a change to the tenant's custom taxonomy inside a transaction and
+ * publishes the result as a new version. The mutator receives the current
+ * definitions and returns an error message to abort, or nothing to save the
+ * modified definitions.
+ */
+async function mutateDefinitions(tenantId, changedBy, mutator) {
+    const defsRef = taxonomyRef(tenantId, 'custom');
+    return db.runTransaction(async (transaction) => {
+        const defsDoc = await transaction.get(defsRef);
+        const head = defsDoc.exists ? defsDoc.data() : {};
+        const definitions = JSON.parse(JSON.stringify(head.data || {}));
+
+        const error = mutator(definitions);
+        if (error) return { error };
+
+        const timestamp = admin.firestore.FieldValue.serverTimestamp();
+        if (head.data && head.currentVersion === undefined) {
+            // Preserve definitions saved before versioning as version 0.
+            transaction.set(defsRef.collection('versions').doc('0'), { version: 0, data: head.data, createdAt: timestamp });
+        }
+        const version = (head.currentVersion ?? 0) + 1;
+        transaction.set(defsRef.collection('versions').doc(String(version)), {
+            version,
+            data: definitions,
+            createdAt: timestamp,
+            createdBy: changedBy,
+        });
+        transaction.set(defsRef, {
+            data: definitions,
+            currentVersion: version,
+            updatedAt: timestamp,
+        });
+        return { definitions, version };
+    });
+}
+
+/**
+ * A secure, authenticated HTTP function for taxonomy management.
+ */
+functions.http('manageDefinitions', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const { action } = req.body;
+    const { tenantId, role, email } = decodedToken;
+    if (!tenantId) {
+        return res.status(403).send({ error: 'Forbidden: Account is not configured for a tenant.' });
+    }
+    if (!READ_ACTIONS.includes(action) && role !== 'admin') {
+        return res.status(403).send({ error: 'Forbidden: Only admins can manage definitions.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    const poolName = readName(req.body.poolName);
+    const subPoolName = readName(req.body.subPoolName);
+    const definition = typeof req.body.definition === 'string' ? req.body.definition.trim() : '';
+
+    try {
+        // --- Action Dispatcher ---
+        switch (action) {
+            case 'getDefinitions': {
+                const defsDoc = await taxonomyRef(tenantId, 'custom').get();
+                if (!defsDoc.exists) {
+                    return res.status(200).send({ definitions: {}, currentVersion: null });
+                }
+                return res.status(200).send({ definitions: defsDoc.data().data || {}, currentVersion: defsDoc.data().currentVersion ?? 0 });
+            }
+
+            case 'listVersions': {
+                const { taxonomy } = req.body;
+                if (!['standard', 'custom'].includes(taxonomy)) {
+                    return res.status(400).send({ error: "taxonomy must be 'standard' or 'custom'." });
+                }
+                const headRef = taxonomyRef(tenantId, taxonomy);
+                const [headDoc, versionsSnapshot] = await Promise.all([
+                    headRef.get(),
+                    headRef.collection('versions').orderBy('version', 'desc').get(),
+                ]);
+                const versions = versionsSnapshot.docs.map(doc => ({
+                    version: doc.data().version,
+                    createdAt: doc.data().createdAt,
+                    createdBy: doc.data().createdBy || null,
+                }));
+                return res.status(200).send({ currentVersion: headDoc.exists ? (headDoc.data().currentVersion ?? 0) : null, versions });
+            }
+
+            case 'diffVersions': {
+                const { taxonomy, fromVersion, toVersion } = req.body;
+                if (!['standard', 'custom'].includes(taxonomy) || !Number.isInteger(fromVersion) || !Number.isInteger(toVersion)) {
+                    return res.status(400).send({ error: "A taxonomy ('standard' or 'custom') and integer fromVersion and toVersion are required." });
+                }
+                const headRef = taxonomyRef(tenantId, taxonomy);
+                const [fromDefs, toDefs] = await Promise.all([
+                    getVersionDefinitions(headRef, fromVersion),
+                    getVersionDefinitions(headRef, toVersion),
+                ]);
+                if (!fromDefs || !toDefs) {
+                    return res.status(404).send({ error: `Version ${!fromDefs ? fromVersion : toVersion} of the ${taxonomy} taxonomy was not found.` });
+                }
+                return res.status(200).send({ taxonomy, fromVersion, toVersion, diff: diffTaxonomies(fromDefs, toDefs) });
+            }
+
+            case 'importStandard': {
+                // Seeds the custom taxonomy with a copy of the global standard taxonomy.
+                const standardDoc = await taxonomyRef(tenantId, 'standard').get();
+                if (!standardDoc.exists) {
+                    return res.status(404).send({ error: 'Standard definitions not found.' });
+                }
+                const result = await mutateDefinitions(tenantId, email, (definitions) => {
+                    if (Object.keys(definitions).length > 0) {
+                        return 'The custom taxonomy already has pools. Delete them before importing the standard taxonomy.';
+                    }
+                    Object.assign(definitions, standardDoc.data().data);
+                });
+                if (result.error) return res.status(409).send({ error: result.error });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'definitions.importStandard',
+                    target: { type: 'taxonomy', id: 'custom' },
+                    after: { version: result.version, pools: Object.keys(result.definitions).length },
+                });
+                return res.status(200).send({ message: 'Standard taxonomy imported.', definitions: result.definitions, version: result.version });
+            }
+
+            case 'upsertPool': {
+                if (!poolName || !definition) {
+                    return res.status(400).send({ error: 'A valid poolName and definition are required.' });
+                }
+                let before = null;
+                const result = await mutateDefinitions(tenantId, email, (definitions) => {
+                    before = definitions[poolName] ? { definition: definitions[poolName].definition } : null;
+                    if (definitions[poolName]) {
+                        definitions[poolName].definition = definition;
+                    } else {
+                        definitions[poolName] = { definition, sub_pools: [] };
+                    }
+                });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'definitions.upsertPool',
+                    target: { type: 'pool', id: poolName },
+                    before,
+                    after: { definition, version: result.version },
+                });
+                return res.status(200).send({ message: `Cost pool '${poolName}' saved.`, definitions: result.definitions, version: result.version });
+            }
+
+            case 'deletePool': {
+                if (!poolName) {
+                    return res.status(400).send({ error: 'A valid poolName is required.' });
+                }
+                let before = null;
+                const result = await mutateDefinitions(tenantId, email, (definitions) => {
+                    if (!definitions[poolName]) return `Cost pool '${poolName}' not found.`;
+                    before = definitions[poolName];
+                    delete definitions[poolName];
+                });
+                if (result.error) return res.status(404).send({ error: result.error });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'definitions.deletePool',
+                    target: { type: 'pool', id: poolName },
+                    before,
+                    after: { version: result.version },
+                });
+                return res.status(200).send({ message: `Cost pool '${poolName}' deleted.`, definitions: result.definitions, version: result.version });
+            }
+
+            case 'upsertSubPool': {
+                if (!poolName || !subPoolName || !definition) {
+                    return res.status(400).send({ error: 'A valid poolName, subPoolName and definition are required.' });
+                }
+                let before = null;
+                const result = await mutateDefinitions(tenantId, email, (definitions) => {
+                    if (!definitions[poolName]) return `Cost pool '${poolName}' not found.`;
+                    const existing = definitions[poolName].sub_pools.find(sp => sp.name === subPoolName);
+                    before = existing ? { definition: existing.definition } : null;
+                    if (existing) {
+                        existing.definition = definition;
+                    } else {
+                        definitions[poolName].sub_pools.push({ name: subPoolName, definition });
+                    }
+                });
+                if (result.error) return res.status(404).send({ error: result.error });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'definitions.upsertSubPool',
+                    target: { type: 'subPool', id: `${poolName}/${subPoolName}` },
+                    before,
+                    after: { definition, version: result.version },
+                });
+                return res.status(200).send({ message: `Cost sub-pool '${subPoolName}' saved.`, definitions: result.definitions, version: result.version });
+            }
+
+            case 'deleteSubPool': {
+                if (!poolName || !subPoolName) {
+                    return res.status(400).send({ error: 'A valid poolName and subPoolName are required.' });
+                }
+                let before = null;
+                const result = await mutateDefinitions(tenantId, email, (definitions) => {
+                    const pool = definitions[poolName];
+                    if (!pool || !pool.sub_pools.some(sp => sp.name === subPoolName)) {
+                        return `Cost sub-pool '${subPoolName}' not found in '${poolName}'.`;
+                    }
+                    before = pool.sub_pools.find(sp => sp.name === subPoolName);
+                    pool.sub_pools = pool.sub_pools.filter(sp => sp.name !== subPoolName);
+                });
+                if (result.error) return res.status(404).send({ error: result.error });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'definitions.deleteSubPool',
+                    target: { type: 'subPool', id: `${poolName}/${subPoolName}` },
+                    before,
+                    after: { version: result.version },
+                });
+                return res.status(200).send({ message: `Cost sub-pool '${subPoolName}' deleted.`, definitions: result.definitions, version: result.version });
+            }
+
+            default:
+                return res.status(400).send({ error: 'Invalid action specified.' });
+        }
+    } catch (error) {
+        console.error(`Error performing action '${action}':`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
@@ -0,0 +1,383 @@
+/**
+ * index.js for the 'manageJob' HTTP Cloud Function
+ *
+ * This secure, multi-purpose function starts follow-up actions on a tenant's
+ * processing jobs based on the 'action' parameter in the request: resuming a
+ * failed or cancelled job, or one stopped by the tenant's quotas, from its
+ * checkpoint, reclassifying a completed job
+ * against a newer taxonomy version, or reprocessing the rows of a completed
+ * job that a filter selects. Actions record what was requested on the job
+ * document and then execute the `process-csv-job` Cloud Run Job with the
+ * job's original upload path and an `--action` flag, so all classification
+ * work stays in the Cloud Run Job.
+ *
+ * Cancelling only sets a `cancelRequest` on the job document; the running
+ * Cloud Run Job checks it between batches and stops cleanly.
+ *
+ * A completed job's review is signed off through `reviewStatus`: reviewers
+ * submit it for approval, and an admin approves it, which locks its rows
+ * against edits, or reopens it for further review. Admins can also place a
+ * job on legal hold, which exempts it from the retention purge (see the
+ * purgeData function). Approvals, reopenings and legal holds are recorded in
+ * the tenant's audit log.
+ *
+ * gcloud functions deploy manageJob --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { JobsClient } = require('@google-cloud/run').v2;
+const { isTenantSuspended, recordAudit } = require('./tenancy');
+
+// --- CONFIGURATION ---
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'project-clarity-463800';
+const LOCATION = 'us-central1';
+const CLOUD_RUN_JOB = 'process-csv-job';
+
+// Statuses in which no Cloud Run Job is running or queued for the job.
+const SETTLED_STATUSES = ['completed', 'failed', 'cancelled', 'quota_exceeded'];
+// Statuses a job can be resumed from.
+const RESUMABLE_STATUSES = ['failed', 'cancelled', 'quota_exceeded'];
+const REPROCESS_FILTERS = ['unclassified', 'belowConfidence', 'rows'];
+const MAX_REPROCESS_ROWS = 500;
+const PURGING_REFUSAL = "The job's data is being purged under the tenant's retention policy. Try again later.";
+
+// Initialize clients
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+const runClient = new JobsClient();
+
+/**
+ * Executes the Cloud Run Job for an existing job document. The execution
+ * runs asynchronously; progress is reported on the job document.
+ */
+async function runProcessingJob(job, action) {
+    if (!job.gcsBucket || !job.gcsFile) {
+        throw new Error('The job does not record its source file and cannot be re-run.');
+    }
+    const [execution] = await runClient.runJob({
+        name: `projects/${PROJECT_ID}/locations/${LOCATION}/jobs/${CLOUD_RUN_JOB}`,
+        overrides: {
+            containerOverrides: [{ args: [job.gcsBucket, job.gcsFile, `--action=${action}`] }],
+            taskCount: 1,
+        },
+    });
+    console.log(`Started ${CLOUD_RUN_JOB} with action '${action}' for job ${job.id}: ${execution.name}`);
+}
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Claims a job for an action inside a transaction, so two actions cannot
+ * start at once. `validate` returns an error message to refuse the action.
+ * Resolves to the job data as it was before the claim.
+ */
+async function claimJob(jobDocRef, validate, updates) {
+    return db.runTransaction(async (transaction) => {
+        const jobDoc = await transaction.get(jobDocRef);
+        if (!jobDoc.exists) throw httpError(404, 'Job not found.');
+        const jobData = jobDoc.data();
+        const refusal = validate(jobData);
+        if (refusal) throw httpError(409, refusal);
+        transaction.update(jobDocRef, updates);
+        return jobData;
+    });
+}
+
+/**
+ * Loads the definitions of one version of a job's taxonomy: the global
+ * standard taxonomy or the tenant's custom one. Taxonomies written before
+ * versioning have no currentVersion and count as version 0. Resolves to null
+ * when the version does not exist.
+ */
+async function getTaxonomyVersion(tenantId, taxonomy, version) {
+    const headRef = taxonomy === 'custom'
+        ? db.collection('tenants').doc(tenantId).collection('definitions').doc('custom')
+        : db.collection('definitions').doc('hierarchical');
+    const headDoc = await headRef.get();
+    if (!headDoc.exists) return null;
+    if (version === (headDoc.data().currentVersion ?? 0)) {
+        return headDoc.data().data || {};
+    }
+    const versionDoc = await headRef.collection('versions').doc(String(version)).get();
+    return versionDoc.exists ? (versionDoc.data().data || {}) : null;
+}
+
+/**
+ * Whether the purgeData function has claimed the job and is deleting its data.
+ */
+function isBeingPurged(jobData) {
+    return Boolean(jobData.purgingUntil && jobData.purgingUntil.toMillis() > Date.now());
+}
+
+/**
+ * Validates the row filter of a reprocess request. Returns an error message,
+ * or null when the filter is valid.
+ */
+function validateReprocessFilter(filter) {
+    if (!filter || !REPROCESS_FILTERS.includes(filter.type)) {
+        return `filter.type must be one of: ${REPROCESS_FILTERS.join(', ')}.`;
+    }
+    if (filter.type === 'belowConfidence' && !(typeof filter.threshold === 'number' && filter.threshold > 0 && filter.threshold <= 1)) {
+        return 'filter.threshold must be a number above 0 and at most 1.';
+    }
+    if (filter.type === 'rows') {
+        const { rowIds } = filter;
+        if (!Array.isArray(rowIds) || rowIds.length === 0 || rowIds.length > MAX_REPROCESS_ROWS || rowIds.some(id => typeof id !== 'string' || !id)) {
+            return `filter.rowIds must list between 1 and ${MAX_REPROCESS_ROWS} row IDs.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * A secure, authenticated HTTP function for job actions.
+ */
+functions.http('manageJob', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const { tenantId, role, email } = decodedToken;
+    if (!tenantId || (role !== 'admin' && role !== 'uploader')) {
+        return res.status(403).send({ error: 'Forbidden: User does not have permission to manage jobs.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    const { action, jobId } = req.body;
+    if (typeof jobId !== 'string' || !jobId || jobId.includes('/')) {
+        return res.status(400).send({ error: 'A jobId is required.' });
+    }
+
+    try {
+        const jobDocRef = db.collection('tenants').doc(tenantId).collection('jobs').doc(jobId);
+        // --- Action Dispatcher ---
+        switch (action) {
+            case 'reclassify': {
+                const { taxonomyVersion } = req.body;
+                if (!Number.isInteger(taxonomyVersion)) {
+                    return res.status(400).send({ error: 'An integer taxonomyVersion is required.' });
+                }
+                // The Cloud Run Job would fail the job on a version it cannot load, so check it first.
+                const jobDoc = await jobDocRef.get();
+                if (!jobDoc.exists) {
+                    return res.status(404).send({ error: 'Job not found.' });
+                }
+                const { taxonomy = 'standard', taxonomyVersion: currentVersion = 0 } = jobDoc.data();
+                if (taxonomyVersion <= currentVersion) {
+                    return res.status(400).send({ error: `taxonomyVersion must be newer than the job's version ${currentVersion}.` });
+                }
+                const definitions = await getTaxonomyVersion(tenantId, taxonomy, taxonomyVersion);
+                if (!definitions || Object.keys(definitions).length === 0) {
+                    return res.status(400).send({ error: `Version ${taxonomyVersion} of the ${taxonomy} taxonomy does not exist or defines no cost pools.` });
+                }
+
+                const job = await claimJob(jobDocRef, (jobData) => {
+                    if (jobData.status !== 'completed') return `Only completed jobs can be reclassified. This job is '${jobData.status}'.`;
+                    if (jobData.reviewStatus === 'approved') return 'The job has been approved and is locked.';
+                    if (jobData.rowsPurgedAt) return "The job's rows have been purged under the tenant's retention policy.";
+                    if (isBeingPurged(jobData)) return PURGING_REFUSAL;
+                    if (jobData.taxonomyVersion === taxonomyVersion) return `The job is already classified against version ${taxonomyVersion}.`;
+                }, {
+                    status: 'queued_reclassify',
+                    cancelRequest: admin.firestore.FieldValue.delete(),
+                    reclassifyRequest: {
+                        taxonomyVersion,
+                        requestedBy: email,
+                        requestedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    },
+                });
+
+                try {
+                    await runProcessingJob(job, 'reclassify');
+                } catch (error) {
+                    // Release the job so the request can be retried.
+                    await jobDocRef.update({ status: job.status, reclassifyRequest: admin.firestore.FieldValue.delete() });
+                    throw error;
+                }
+                return res.status(200).send({ message: `Reclassification against version ${taxonomyVersion} started.` });
+            }
+
+            case 'resume': {
+                const job = await claimJob(jobDocRef, (jobData) => {
+                    if (!RESUMABLE_STATUSES.includes(jobData.status)) return `Only failed, cancelled or quota-stopped jobs can be resumed. This job is '${jobData.status}'.`;
+                    if (jobData.uploadsPurgedAt || jobData.rowsPurgedAt) return "The job's data has been purged under the tenant's retention policy.";
+                    if (isBeingPurged(jobData)) return PURGING_REFUSAL;
+                }, {
+                    status: 'queued_resume',
+                    cancelRequest: admin.firestore.FieldValue.delete(),
+                    resumedBy: email,
+                    resumedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+
+                try {
+                    await runProcessingJob(job, 'resume');
+                } catch (error) {
+                    await jobDocRef.update({ status: job.status });
+                    throw error;
+                }
+                const fromRow = job.checkpoint ? job.checkpoint.lastCommittedRow + 1 : 0;
+                return res.status(200).send({ message: `Job resumed from row ${fromRow}.` });
+            }
+
+            case 'reprocess': {
+                const { filter } = req.body;
+                const filterError = validateReprocessFilter(filter);
+                if (filterError) {
+                    return res.status(400).send({ error: filterError });
+                }
+
+                const job = await claimJob(jobDocRef, (jobData) => {
+                    if (jobData.status !== 'completed') return `Only completed jobs can be reprocessed. This job is '${jobData.status}'.`;
+                    if (jobData.reviewStatus === 'approved') return 'The job has been approved and is locked.';
+                    if (jobData.rowsPurgedAt) return "The job's rows have been purged under the tenant's retention policy.";
+                    if (isBeingPurged(jobData)) return PURGING_REFUSAL;
+                }, {
+                    status: 'queued_reprocess',
+                    cancelRequest: admin.firestore.FieldValue.delete(),
+                    reprocessRequest: {
+                        filter: filter.type === 'rows' ? { type: 'rows', rowIds: [...new Set(filter.rowIds)] }
+                            : filter.type === 'belowConfidence' ? { type: 'belowConfidence', threshold: filter.threshold }
+                            : { type: filter.type },
+                        requestedBy: email,
+                        requestedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    },
+                });
+
+                try {
+                    await runProcessingJob(job, 'reprocess');
+                } catch (error) {
+                    await jobDocRef.update({ status: job.status, reprocessRequest: admin.firestore.FieldValue.delete() });
+                    throw error;
+                }
+                return res.status(200).send({ message: 'Reprocessing started. Manually edited rows are left unchanged.' });
+            }
+
+            case 'cancel': {
+                await claimJob(jobDocRef, (jobData) => {
+                    if (SETTLED_STATUSES.includes(jobData.status)) return `Only running jobs can be cancelled. This job is '${jobData.status}'.`;
+                    if (jobData.cancelRequest) return 'Cancellation has already been requested.';
+                }, {
+                    cancelRequest: {
+                        requestedBy: email,
+                        requestedAt: admin.firestore.FieldValue.serverTimestamp(),
+                    },
+                });
+                return res.status(200).send({ message: 'Cancellation requested. The job stops after its current batch.' });
+            }
+
+            case 'submitForApproval': {
+                await claimJob(jobDocRef, (jobData) => {
+                    if (jobData.status !== 'completed') return `Only completed jobs can be submitted for approval. This job is '${jobData.status}'.`;
+                    if (jobData.reviewStatus === 'submitted' || jobData.reviewStatus === 'approved') return `The job is already ${jobData.reviewStatus}.`;
+                }, {
+                    reviewStatus: 'submitted',
+                    submittedBy: email,
+                    submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+                return res.status(200).send({ message: 'Job submitted for approval.' });
+            }
+
+            case 'approve': {
+                if (role !== 'admin') {
+                    return res.status(403).send({ error: 'Forbidden: Only admins can approve jobs.' });
+                }
+                const job = await claimJob(jobDocRef, (jobData) => {
+                    if (jobData.reviewStatus !== 'submitted') return 'Only jobs submitted for approval can be approved.';
+                }, {
+                    reviewStatus: 'approved',
+                    approvedBy: email,
+                    approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'job.approve',
+                    target: { type: 'job', id: jobId, name: job.originalFilename || null },
+                    before: { reviewStatus: job.reviewStatus },
+                    after: { reviewStatus: 'approved' },
+                });
+                return res.status(200).send({ message: 'Job approved. Its rows are now locked.' });
+            }
+
+            case 'reopen': {
+                // Sends a submitted job back for review, or unlocks an approved one.
+                if (role !== 'admin') {
+                    return res.status(403).send({ error: 'Forbidden: Only admins can reopen jobs.' });
+                }
+                const job = await claimJob(jobDocRef, (jobData) => {
+                    if (jobData.reviewStatus !== 'submitted' && jobData.reviewStatus !== 'approved') return 'Only submitted or approved jobs can be reopened.';
+                }, {
+                    reviewStatus: 'in_review',
+                    reopenedBy: email,
+                    reopenedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'job.reopen',
+                    target: { type: 'job', id: jobId, name: job.originalFilename || null },
+                    before: { reviewStatus: job.reviewStatus },
+                    after: { reviewStatus: 'in_review' },
+                });
+                return res.status(200).send({ message: 'Job reopened for review.' });
+            }
+
+            case 'placeLegalHold':
+            case 'releaseLegalHold': {
+                // A job on legal hold is exempt from the retention purge.
+                if (role !== 'admin') {
+                    return res.status(403).send({ error: 'Forbidden: Only admins can change legal holds.' });
+                }
+                const place = action === 'placeLegalHold';
+                const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+                if (place && !reason) {
+                    return res.status(400).send({ error: 'A reason is required for a legal hold.' });
+                }
+                const legalHold = place
+                    ? { reason, placedBy: email, placedAt: admin.firestore.FieldValue.serverTimestamp() }
+                    : admin.firestore.FieldValue.delete();
+                const job = await claimJob(jobDocRef, (jobData) => {
+                    if (place && jobData.legalHold) return 'The job is already on legal hold.';
+                    if (!place && !jobData.legalHold) return 'The job is not on legal hold.';
+                }, { legalHold });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: place ? 'job.placeLegalHold' : 'job.releaseLegalHold',
+                    target: { type: 'job', id: jobId, name: job.originalFilename || null },
+                    before: { legalHold: job.legalHold?.reason || null },
+                    after: { legalHold: place ? reason : null },
+                });
+                return res.status(200).send({ message: place ? 'Legal hold placed. The job is exempt from purging.' : 'Legal hold released.' });
+            }
+
+            default:
+                return res.status(400).send({ error: 'Invalid action specified.' });
+        }
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).send({ error: error.message });
+        }
+        console.error(`Error performing action '${action}' on job ${jobId}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
@@ -0,0 +1,116 @@
+/**
+ * index.js for the 'manageNotifications' HTTP Cloud Function
+ *
+ * Lets every user read and change their own email notification preferences,
+ * stored in `tenants/{tenantId}/notification_preferences/{uid}`:
+ *
+ * - `jobCompleted`: an email when a file they uploaded has been processed,
+ *   with its row counts and a link to its review page (default on);
+ * - `jobFailed`: an email when a job of theirs fails, with the error
+ *   (default on);
+ * - `dailyDigest`: a daily summary of the tenant's jobs, for admins only
+ *   (default off).
+ *
+ * The sendNotifications function reads them before sending anything.
+ *
+ * gcloud functions deploy manageNotifications --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { isTenantSuspended } = require('./tenancy');
+
+// Initialize Firebase Admin SDK
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+// Preferences a user without a stored document has.
+const DEFAULT_PREFERENCES = { jobCompleted: true, jobFailed: true, dailyDigest: false };
+// Preferences only admins may turn on.
+const ADMIN_PREFERENCES = ['dailyDigest'];
+
+function describePreferences(preferencesDoc) {
+    const stored = preferencesDoc.exists ? preferencesDoc.data() : {};
+    return Object.fromEntries(Object.keys(DEFAULT_PREFERENCES).map(key => [key, stored[key] ?? DEFAULT_PREFERENCES[key]]));
+}
+
+/**
+ * A secure, authenticated HTTP function for a user's own notification preferences.
+ */
+functions.http('manageNotifications', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const { uid, tenantId, role, email } = decodedToken;
+    if (!tenantId) {
+        return res.status(403).send({ error: 'Forbidden: User is not assigned to a tenant.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    const { action } = req.body;
+    const preferencesRef = db.collection('tenants').doc(tenantId).collection('notification_preferences').doc(uid);
+
+    try {
+        // --- Action Dispatcher ---
+        switch (action) {
+            case 'getPreferences': {
+                return res.status(200).send({ email, preferences: describePreferences(await preferencesRef.get()) });
+            }
+
+            case 'updatePreferences': {
+                const { preferences } = req.body;
+                if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+                    return res.status(400).send({ error: 'preferences must be an object.' });
+                }
+                const updates = {};
+                for (const [key, value] of Object.entries(preferences)) {
+                    if (!(key in DEFAULT_PREFERENCES)) {
+                        return res.status(400).send({ error: `Unknown preference '${key}'. Valid preferences are: ${Object.keys(DEFAULT_PREFERENCES).join(', ')}.` });
+                    }
+                    if (typeof value !== 'boolean') {
+                        return res.status(400).send({ error: `${key} must be true or false.` });
+                    }
+                    if (ADMIN_PREFERENCES.includes(key) && value && role !== 'admin') {
+                        return res.status(403).send({ error: `Forbidden: Only admins can turn on ${key}.` });
+                    }
+                    updates[key] = value;
+                }
+                await preferencesRef.set({
+                    ...updates,
+                    email,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                }, { merge: true });
+                return res.status(200).send({ message: 'Notification preferences saved.', preferences: describePreferences(await preferencesRef.get()) });
+            }
+
+            default:
+                return res.status(400).send({ error: 'Invalid action specified.' });
+        }
+    } catch (error) {
+        console.error(`Error performing notification action '${action}' for user ${uid}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
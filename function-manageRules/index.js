@@ -0,0 +1,378 @@
+/**
+ * index.js for the 'manageRules' HTTP Cloud Function
+ *
+ * This secure, multi-purpose function lets a tenant admin maintain the
+ * tenant's deterministic classification rules, stored in
+ * `tenants/{tenantId}/rules`. The processing job tries the enabled rules in
+ * `position` order before calling the AI; the first rule whose condition
+ * matches a row classifies it with full confidence. Rules can be tested
+ * against the rows of an existing job before they are saved or enabled.
+ * The 'action' parameter in the request selects the operation, and every
+ * change is recorded in the tenant's audit log.
+ *
+ * gcloud functions deploy manageRules --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { isTenantSuspended, recordAudit } = require('./tenancy');
+
+// Initialize Firebase Admin SDK
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+// Actions that only read the rules and are open to every role in the tenant.
+const READ_ACTIONS = ['listRules'];
+const OPERATORS = ['matches', 'contains', 'equals'];
+const SUPPORTED_TAXONOMIES = ['standard', 'custom'];
+// Longest regular expression a `matches` rule may use.
+const MAX_PATTERN_LENGTH = 200;
+
+// testRule scans at most this many rows of the job and returns this many matches.
+const MAX_TEST_ROWS = 10000;
+const MAX_TEST_MATCHES = 25;
+
+function taxonomyRef(tenantId, taxonomy) {
+    return taxonomy === 'custom'
+        ? db.collection('tenants').doc(tenantId).collection('definitions').doc('custom')
+        : db.collection('definitions').doc('hierarchical');
+}
+
+/**
+ * Refuses a `matches` pattern that could take exponential time on a long
+ * value: one longer than MAX_PATTERN_LENGTH, or one that repeats a group
+ * which itself repeats, like `(a+)+` or `(\w*\s?){2,}`.
+ */
+function checkPatternSafety(pattern) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`A pattern can be at most ${MAX_PATTERN_LENGTH} characters long.`);
+    }
+    // For each open group, whether it contains a quantifier.
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            // Skip the character class; quantifier characters inside it are literal.
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push(false);
+        } else if (char === ')') {
+            const repeatsInside = groups.pop();
+            if (repeatsInside && /^(?:[*+]|\{\d+,\d*\})/.test(pattern.slice(i + 1))) {
+                throw new Error('A pattern cannot repeat a group that itself repeats, like (a+)+.');
+            }
+            if (groups.length > 0) groups[groups.length - 1] ||= repeatsInside;
+        } else if (groups.length > 0 && (char === '*' || char === '+' || (char === '?' && pattern[i - 1] !== '(') || /^\{\d+(?:,\d*)?\}/.test(pattern.slice(i)))) {
+            groups[groups.length - 1] = true;
+        }
+    }
+}
+
+/**
+ * Builds the value test of a rule, exactly as the processing job does.
+ */
+function compileCondition({ operator, pattern, caseSensitive }) {
+    const normalize = value => (caseSensitive ? value : value.toLowerCase()).trim();
+    switch (operator) {
+        case 'matches': {
+            checkPatternSafety(pattern);
+            const regex = new RegExp(pattern, caseSensitive ? '' : 'i');
+            return value => regex.test(value);
+        }
+        case 'contains': {
+            const needle = normalize(pattern);
+            return value => normalize(value).includes(needle);
+        }
+        case 'equals': {
+            const expected = normalize(pattern);
+            return value => normalize(value) === expected;
+        }
+        default:
+            throw new Error(`Unknown rule operator '${operator}'.`);
+    }
+}
+
+function ruleMatches(rule, test, rowData) {
+    const value = rowData?.[rule.column];
+    return value !== undefined && value !== null && test(String(value));
+}
+
+function readText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Validates the editable fields of a rule against the current version of
+ * its taxonomy. Resolves to { rule } or { error }.
+ */
+async function validateRule(tenantId, input) {
+    const rule = {
+        name: readText(input.name),
+        column: readText(input.column),
+        operator: input.operator,
+        pattern: typeof input.pattern === 'string' ? input.pattern : '',
+        caseSensitive: input.caseSensitive === true,
+        cost_pool: readText(input.cost_pool),
+        cost_sub_pool: readText(input.cost_sub_pool),
+        taxonomy: input.taxonomy || 'standard',
+        pipelineIds: input.pipelineIds || [],
+        enabled: input.enabled !== false,
+    };
+
+    if (!rule.name) return { error: 'A rule name is required.' };
+    if (!rule.column) return { error: 'A column is required.' };
+    if (!OPERATORS.includes(rule.operator)) return { error: `operator must be one of: ${OPERATORS.join(', ')}.` };
+    if (!rule.pattern.trim()) return { error: 'A pattern is required.' };
+    try {
+        compileCondition(rule);
+    } catch (e) {
+        return { error: `Invalid pattern: ${e.message}` };
+    }
+    if (!SUPPORTED_TAXONOMIES.includes(rule.taxonomy)) {
+        return { error: `taxonomy must be one of: ${SUPPORTED_TAXONOMIES.join(', ')}.` };
+    }
+    if (!Array.isArray(rule.pipelineIds) || rule.pipelineIds.some(id => typeof id !== 'string' || !id)) {
+        return { error: 'pipelineIds must be an array of pipeline names.' };
+    }
+    if (!rule.cost_pool || !rule.cost_sub_pool) {
+        return { error: 'A cost_pool and cost_sub_pool are required.' };
+    }
+
+    const defsDoc = await taxonomyRef(tenantId, rule.taxonomy).get();
+    const pool = defsDoc.exists ? (defsDoc.data().data || {})[rule.cost_pool] : null;
+    if (!pool) {
+        return { error: `Cost pool '${rule.cost_pool}' does not exist in the ${rule.taxonomy} taxonomy.` };
+    }
+    if (!pool.sub_pools.some(sp => sp.name === rule.cost_sub_pool)) {
+        return { error: `Sub-pool '${rule.cost_sub_pool}' does not exist under cost pool '${rule.cost_pool}'.` };
+    }
+    return { rule };
+}
+
+/**
+ * A secure, authenticated HTTP function for rule management.
+ */
+functions.http('manageRules', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const { action, ruleId } = req.body;
+    const { tenantId, role, email } = decodedToken;
+    if (!tenantId) {
+        return res.status(403).send({ error: 'Forbidden: Account is not configured for a tenant.' });
+    }
+    if (!READ_ACTIONS.includes(action) && role !== 'admin') {
+        return res.status(403).send({ error: 'Forbidden: Only admins can manage rules.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    const tenantRef = db.collection('tenants').doc(tenantId);
+    const rulesRef = tenantRef.collection('rules');
+
+    try {
+        // --- Action Dispatcher ---
+        switch (action) {
+            case 'listRules': {
+                const snapshot = await rulesRef.orderBy('position').get();
+                return res.status(200).send({ rules: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })) });
+            }
+
+            case 'createRule': {
+                const { rule, error } = await validateRule(tenantId, req.body.rule || {});
+                if (error) {
+                    return res.status(400).send({ error });
+                }
+                const ruleRef = rulesRef.doc();
+                await db.runTransaction(async (transaction) => {
+                    // New rules go to the end of the order.
+                    const last = await transaction.get(rulesRef.orderBy('position', 'desc').limit(1));
+                    const position = last.empty ? 0 : last.docs[0].data().position + 1;
+                    transaction.set(ruleRef, {
+                        ...rule,
+                        position,
+                        createdBy: email,
+                        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    });
+                });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'rule.create',
+                    target: { type: 'rule', id: ruleRef.id, name: rule.name },
+                    after: rule,
+                });
+                return res.status(200).send({ message: `Rule '${rule.name}' created.`, ruleId: ruleRef.id });
+            }
+
+            case 'updateRule': {
+                if (!ruleId) {
+                    return res.status(400).send({ error: 'A ruleId is required.' });
+                }
+                const ruleDoc = await rulesRef.doc(ruleId).get();
+                if (!ruleDoc.exists) {
+                    return res.status(404).send({ error: 'Rule not found.' });
+                }
+                const { rule, error } = await validateRule(tenantId, { ...ruleDoc.data(), ...(req.body.rule || {}) });
+                if (error) {
+                    return res.status(400).send({ error });
+                }
+                await rulesRef.doc(ruleId).update({
+                    ...rule,
+                    updatedBy: email,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'rule.update',
+                    target: { type: 'rule', id: ruleId, name: rule.name },
+                    before: ruleDoc.data(),
+                    after: rule,
+                });
+                return res.status(200).send({ message: `Rule '${rule.name}' updated.` });
+            }
+
+            case 'deleteRule': {
+                if (!ruleId) {
+                    return res.status(400).send({ error: 'A ruleId is required.' });
+                }
+                const ruleDoc = await rulesRef.doc(ruleId).get();
+                if (!ruleDoc.exists) {
+                    return res.status(404).send({ error: 'Rule not found.' });
+                }
+                await rulesRef.doc(ruleId).delete();
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'rule.delete',
+                    target: { type: 'rule', id: ruleId, name: ruleDoc.data().name },
+                    before: ruleDoc.data(),
+                });
+                return res.status(200).send({ message: `Rule '${ruleDoc.data().name}' deleted.` });
+            }
+
+            case 'reorderRules': {
+                const { ruleIds } = req.body;
+                if (!Array.isArray(ruleIds)) {
+                    return res.status(400).send({ error: 'ruleIds must list every rule in the new order.' });
+                }
+                const snapshot = await rulesRef.get();
+                const existingIds = new Set(snapshot.docs.map(doc => doc.id));
+                if (ruleIds.length !== existingIds.size || new Set(ruleIds).size !== ruleIds.length || !ruleIds.every(id => existingIds.has(id))) {
+                    return res.status(400).send({ error: 'ruleIds must list every rule exactly once.' });
+                }
+                const batch = db.batch();
+                ruleIds.forEach((id, position) => batch.update(rulesRef.doc(id), { position }));
+                await batch.commit();
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'rule.reorder',
+                    target: { type: 'rules', id: tenantId },
+                    before: { ruleIds: [...snapshot.docs].sort((a, b) => a.data().position - b.data().position).map(doc => doc.id) },
+                    after: { ruleIds },
+                });
+                return res.status(200).send({ message: 'Rules reordered.' });
+            }
+
+            case 'testRule': {
+                // Tests a saved rule (ruleId) or an unsaved definition (rule) against a job's stored rows.
+                const { jobId } = req.body;
+                if (!jobId) {
+                    return res.status(400).send({ error: 'A jobId is required.' });
+                }
+                const [jobDoc, rulesSnapshot] = await Promise.all([
+                    tenantRef.collection('jobs').doc(jobId).get(),
+                    rulesRef.orderBy('position').get(),
+                ]);
+                if (!jobDoc.exists) {
+                    return res.status(404).send({ error: 'Job not found.' });
+                }
+
+                const savedRules = rulesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+                const savedRule = ruleId ? savedRules.find(rule => rule.id === ruleId) : null;
+                if (ruleId && !savedRule) {
+                    return res.status(404).send({ error: 'Rule not found.' });
+                }
+                const { rule, error } = await validateRule(tenantId, savedRule || req.body.rule || {});
+                if (error) {
+                    return res.status(400).send({ error });
+                }
+
+                // Enabled rules ahead of this one that the job would apply win any row they also match.
+                // As in the processing job, rules that no longer compile are skipped.
+                const job = jobDoc.data();
+                const earlierRules = savedRules
+                    .filter(other => other.enabled !== false && other.id !== ruleId && (!savedRule || other.position < savedRule.position))
+                    .filter(other => !Array.isArray(other.pipelineIds) || other.pipelineIds.length === 0 || other.pipelineIds.includes(job.pipelineId))
+                    .filter(other => (other.taxonomy || 'standard') === (job.taxonomy || 'standard'))
+                    .flatMap(other => {
+                        try {
+                            return [{ rule: other, test: compileCondition(other) }];
+                        } catch (e) {
+                            console.warn(`Skipping rule '${other.name}' (${other.id}) in testRule: ${e.message}`);
+                            return [];
+                        }
+                    });
+                const test = compileCondition(rule);
+
+                const rowsSnapshot = await jobDoc.ref.collection('rows').orderBy('row_index').limit(MAX_TEST_ROWS).get();
+                const result = {
+                    appliesToJob: (rule.pipelineIds.length === 0 || rule.pipelineIds.includes(job.pipelineId)) && (job.taxonomy || 'standard') === rule.taxonomy,
+                    rowsScanned: rowsSnapshot.size,
+                    rowsMatched: 0,
+                    rowsShadowed: 0,
+                    rowsChanged: 0,
+                    truncated: rowsSnapshot.size === MAX_TEST_ROWS,
+                    matches: [],
+                };
+                rowsSnapshot.forEach(rowDoc => {
+                    const row = rowDoc.data();
+                    if (!ruleMatches(rule, test, row.original_data)) return;
+                    result.rowsMatched++;
+                    const shadowedBy = earlierRules.find(other => ruleMatches(other.rule, other.test, row.original_data));
+                    if (shadowedBy) {
+                        result.rowsShadowed++;
+                    } else if (row.cost_pool !== rule.cost_pool || row.cost_sub_pool !== rule.cost_sub_pool) {
+                        result.rowsChanged++;
+                    }
+                    if (result.matches.length < MAX_TEST_MATCHES) {
+                        result.matches.push({
+                            rowId: rowDoc.id,
+                            value: row.original_data[rule.column],
+                            cost_pool: row.cost_pool,
+                            cost_sub_pool: row.cost_sub_pool,
+                            shadowedBy: shadowedBy ? shadowedBy.rule.name : null,
+                        });
+                    }
+                });
+                return res.status(200).send(result);
+            }
+
+            default:
+                return res.status(400).send({ error: 'Invalid action specified.' });
+        }
+    } catch (error) {
+        console.error(`Error performing rule action '${action}' for tenant ${tenantId}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
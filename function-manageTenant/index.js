@@ -0,0 +1,343 @@
+/**
+ * index.js for the 'manageTenant' HTTP Cloud Function
+ *
+ * The tenant lifecycle for super admins, after createTenant: list every
+ * tenant with its admins, user and job counts, last activity, and usage for
+ * the month against its quotas; rename a tenant; set its monthly quotas;
+ * suspend or reactivate it; and delete it permanently.
+ *
+ * Quotas (`quotas` on the tenant document) cap what a tenant may use per
+ * calendar month: `files` uploaded, `rows` processed, `aiCalls` made and
+ * `tokens` (input and output together). Null means unlimited. The uploadFile
+ * function rejects uploads once a quota is used up, and the processing job
+ * stops before a batch that would exceed one.
+ *
+ * A suspended tenant keeps all its data, but every function refuses its
+ * users and its uploads are rejected. Deleting a tenant needs its current
+ * name as confirmation. The tenant is first marked 'deleting', which blocks
+ * it like a suspension. While any of its jobs is still queued or processing,
+ * those jobs are asked to stop and the deletion is refused. Otherwise its
+ * Firebase Auth users, its uploads and exports in Cloud Storage, and its
+ * Firestore data (jobs, rows, audit trails and everything else under
+ * `tenants/{tenantId}`) are removed. A deletion that is refused or fails
+ * part way can be run again.
+ *
+ * Renames, quota changes and suspensions are recorded in the tenant's audit log. The
+ * tenant's log is deleted with it, so a deletion is recorded in the
+ * platform-wide `audit_log` collection instead.
+ *
+ * gcloud functions deploy manageTenant --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const { Storage } = require('@google-cloud/storage');
+const admin = require('firebase-admin');
+const { recordAudit } = require('./tenancy');
+
+// Initialize clients
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+const bucket = new Storage().bucket('clarity-data');
+
+const MAX_TENANT_NAME_LENGTH = 100;
+// Cloud Storage prefixes holding a tenant's files.
+const TENANT_PREFIXES = ['uploads', 'exports'];
+// Monthly quotas a super admin can set (see the processing job's usage.js).
+const QUOTA_METRICS = ['files', 'rows', 'aiCalls', 'tokens'];
+// Statuses in which no Cloud Run Job is running or queued for the job.
+const SETTLED_STATUSES = ['completed', 'failed', 'cancelled', 'quota_exceeded'];
+
+/**
+ * The tenant's quotas with every metric present; null is unlimited.
+ */
+function normalizeQuotas(quotas) {
+    return Object.fromEntries(QUOTA_METRICS.map(metric => [metric, quotas?.[metric] ?? null]));
+}
+
+/**
+ * The tenant's usage counters for a month, zero when nothing was recorded.
+ */
+function describeUsage(usageDoc) {
+    const usage = usageDoc.exists ? usageDoc.data() : {};
+    return {
+        files: usage.files || 0,
+        rows: usage.rows || 0,
+        aiCalls: usage.aiCalls || 0,
+        tokens: (usage.inputTokens || 0) + (usage.outputTokens || 0),
+    };
+}
+
+/**
+ * Every Firebase Auth user, a page at a time.
+ */
+async function listAllUsers() {
+    const users = [];
+    let pageToken;
+    do {
+        const result = await auth.listUsers(1000, pageToken);
+        users.push(...result.users);
+        pageToken = result.pageToken;
+    } while (pageToken);
+    return users;
+}
+
+function latest(...dates) {
+    const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+function toIso(timestamp) {
+    return timestamp ? timestamp.toDate().toISOString() : null;
+}
+
+/**
+ * Job count and the latest job and audit entry of one tenant.
+ */
+async function describeActivity(tenantRef) {
+    const [jobCount, lastJob, lastAuditEntry] = await Promise.all([
+        tenantRef.collection('jobs').count().get(),
+        tenantRef.collection('jobs').orderBy('createdAt', 'desc').limit(1).select('createdAt').get(),
+        tenantRef.collection('audit_log').orderBy('timestamp', 'desc').limit(1).select('timestamp').get(),
+    ]);
+    return {
+        jobCount: jobCount.data().count,
+        lastJobAt: lastJob.empty ? null : toIso(lastJob.docs[0].data().createdAt),
+        lastAuditAt: lastAuditEntry.empty ? null : toIso(lastAuditEntry.docs[0].data().timestamp),
+    };
+}
+
+/**
+ * A secure, authenticated HTTP function for tenant management.
+ */
+functions.http('manageTenant', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    if (decodedToken.superAdmin !== true) {
+        return res.status(403).send({ error: 'Forbidden: Caller is not a super admin.' });
+    }
+
+    const { action, tenantId } = req.body;
+    if (action !== 'listTenants' && (typeof tenantId !== 'string' || !tenantId || tenantId.includes('/'))) {
+        return res.status(400).send({ error: 'A tenantId is required.' });
+    }
+    const tenantRef = tenantId ? db.collection('tenants').doc(tenantId) : null;
+    const period = new Date().toISOString().slice(0, 7);
+
+    try {
+        // --- Action Dispatcher ---
+        switch (action) {
+            case 'listTenants': {
+                const [tenantsSnapshot, users] = await Promise.all([
+                    db.collection('tenants').get(),
+                    listAllUsers(),
+                ]);
+                const usersByTenant = new Map();
+                for (const user of users) {
+                    const userTenantId = user.customClaims?.tenantId;
+                    if (!userTenantId) continue;
+                    if (!usersByTenant.has(userTenantId)) usersByTenant.set(userTenantId, []);
+                    usersByTenant.get(userTenantId).push(user);
+                }
+
+                const tenants = await Promise.all(tenantsSnapshot.docs.map(async (tenantDoc) => {
+                    const tenant = tenantDoc.data();
+                    const tenantUsers = usersByTenant.get(tenantDoc.id) || [];
+                    const [{ jobCount, lastJobAt, lastAuditAt }, usageDoc] = await Promise.all([
+                        describeActivity(tenantDoc.ref),
+                        tenantDoc.ref.collection('usage').doc(period).get(),
+                    ]);
+                    return {
+                        id: tenantDoc.id,
+                        name: tenant.name,
+                        status: tenant.status || 'active',
+                        createdAt: toIso(tenant.createdAt),
+                        suspendedAt: toIso(tenant.suspendedAt),
+                        admins: tenantUsers
+                            .filter(user => user.customClaims.role === 'admin')
+                            .map(user => ({ uid: user.uid, email: user.email, disabled: user.disabled })),
+                        userCount: tenantUsers.length,
+                        jobCount,
+                        lastActivityAt: latest(lastJobAt, lastAuditAt, ...tenantUsers.map(user => user.metadata.lastRefreshTime || user.metadata.lastSignInTime)),
+                        quotas: normalizeQuotas(tenant.quotas),
+                        usage: describeUsage(usageDoc),
+                    };
+                }));
+                tenants.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+                return res.status(200).send({ tenants, period });
+            }
+
+            case 'renameTenant': {
+                const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+                if (!name || name.length > MAX_TENANT_NAME_LENGTH) {
+                    return res.status(400).send({ error: `A name of 1 to ${MAX_TENANT_NAME_LENGTH} characters is required.` });
+                }
+                const tenantDoc = await tenantRef.get();
+                if (!tenantDoc.exists) {
+                    return res.status(404).send({ error: 'Tenant not found.' });
+                }
+                await tenantRef.update({ name });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'tenant.rename',
+                    target: { type: 'tenant', id: tenantId, name },
+                    before: { name: tenantDoc.data().name },
+                    after: { name },
+                });
+                return res.status(200).send({ message: `Tenant renamed to '${name}'.`, tenantId, name });
+            }
+
+            case 'setQuotas': {
+                const { quotas } = req.body;
+                if (!quotas || typeof quotas !== 'object' || Array.isArray(quotas)) {
+                    return res.status(400).send({ error: `quotas must be an object with ${QUOTA_METRICS.join(', ')}.` });
+                }
+                const unknown = Object.keys(quotas).filter(metric => !QUOTA_METRICS.includes(metric));
+                if (unknown.length > 0) {
+                    return res.status(400).send({ error: `Unknown quotas: ${unknown.join(', ')}.` });
+                }
+                for (const [metric, limit] of Object.entries(quotas)) {
+                    if (limit !== null && (!Number.isSafeInteger(limit) || limit < 0)) {
+                        return res.status(400).send({ error: `The ${metric} quota must be null or a whole number of at least 0.` });
+                    }
+                }
+                const tenantDoc = await tenantRef.get();
+                if (!tenantDoc.exists) {
+                    return res.status(404).send({ error: 'Tenant not found.' });
+                }
+                const before = normalizeQuotas(tenantDoc.data().quotas);
+                const after = { ...before, ...quotas };
+                await tenantRef.update({ quotas: after });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'tenant.setQuotas',
+                    target: { type: 'tenant', id: tenantId, name: tenantDoc.data().name },
+                    before,
+                    after,
+                });
+                return res.status(200).send({ message: 'Quotas updated.', tenantId, quotas: after });
+            }
+
+            case 'suspendTenant':
+            case 'reactivateTenant': {
+                const suspend = action === 'suspendTenant';
+                const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+                const tenantDoc = await tenantRef.get();
+                if (!tenantDoc.exists) {
+                    return res.status(404).send({ error: 'Tenant not found.' });
+                }
+                const status = tenantDoc.data().status || 'active';
+                if (status === 'deleting') {
+                    return res.status(409).send({ error: 'The tenant is being deleted.' });
+                }
+                if (status === (suspend ? 'suspended' : 'active')) {
+                    return res.status(409).send({ error: `The tenant is already ${status}.` });
+                }
+                await tenantRef.update(suspend
+                    ? {
+                        status: 'suspended',
+                        suspendedAt: admin.firestore.FieldValue.serverTimestamp(),
+                        suspendedBy: decodedToken.email || decodedToken.uid,
+                        suspendReason: reason || null,
+                    }
+                    : {
+                        status: 'active',
+                        suspendedAt: admin.firestore.FieldValue.delete(),
+                        suspendedBy: admin.firestore.FieldValue.delete(),
+                        suspendReason: admin.firestore.FieldValue.delete(),
+                    });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: suspend ? 'tenant.suspend' : 'tenant.reactivate',
+                    target: { type: 'tenant', id: tenantId, name: tenantDoc.data().name },
+                    before: { status },
+                    after: suspend ? { status: 'suspended', reason: reason || null } : { status: 'active' },
+                });
+                return res.status(200).send({ message: `Tenant ${suspend ? 'suspended' : 'reactivated'}.`, tenantId, status: suspend ? 'suspended' : 'active' });
+            }
+
+            case 'deleteTenant': {
+                const tenantDoc = await tenantRef.get();
+                if (!tenantDoc.exists) {
+                    return res.status(404).send({ error: 'Tenant not found.' });
+                }
+                const tenant = tenantDoc.data();
+                if (req.body.confirmName !== tenant.name) {
+                    return res.status(400).send({ error: "confirmName must match the tenant's name." });
+                }
+
+                // Block the tenant's users and uploads while its data is removed.
+                await tenantRef.update({
+                    status: 'deleting',
+                    deletionStartedAt: admin.firestore.FieldValue.serverTimestamp(),
+                });
+
+                // A running job would keep writing under the tenant after it is deleted, so ask
+                // each to stop after its current batch and refuse until all have.
+                const runningJobs = await tenantRef.collection('jobs').where('status', 'not-in', SETTLED_STATUSES).select('cancelRequest').get();
+                if (!runningJobs.empty) {
+                    const writer = db.bulkWriter();
+                    runningJobs.docs
+                        .filter(jobDoc => !jobDoc.get('cancelRequest'))
+                        .forEach(jobDoc => writer.update(jobDoc.ref, {
+                            cancelRequest: { requestedBy: decodedToken.email, requestedAt: admin.firestore.FieldValue.serverTimestamp() },
+                        }));
+                    await writer.close();
+                    return res.status(409).send({
+                        error: `${runningJobs.size} of the tenant's jobs are still running. They have been asked to stop; retry the deletion once they have.`,
+                        runningJobs: runningJobs.size,
+                    });
+                }
+
+                // Super admin accounts are never deleted with a tenant.
+                const tenantUsers = (await listAllUsers())
+                    .filter(user => user.customClaims?.tenantId === tenantId && user.customClaims?.superAdmin !== true);
+                let deletedUsers = 0;
+                for (let i = 0; i < tenantUsers.length; i += 1000) {
+                    const result = await auth.deleteUsers(tenantUsers.slice(i, i + 1000).map(user => user.uid));
+                    deletedUsers += result.successCount;
+                    result.errors.forEach(({ index, error }) => console.error(`Could not delete user ${tenantUsers[i + index].uid} of tenant ${tenantId}:`, error));
+                }
+                if (deletedUsers < tenantUsers.length) {
+                    throw new Error(`${tenantUsers.length - deletedUsers} of the tenant's users could not be deleted.`);
+                }
+
+                for (const prefix of TENANT_PREFIXES) {
+                    await bucket.deleteFiles({ prefix: `${prefix}/${tenantId}/` });
+                }
+                await db.recursiveDelete(tenantRef);
+
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'tenant.delete',
+                    target: { type: 'tenant', id: tenantId, name: tenant.name },
+                    before: { name: tenant.name, status: tenant.status || 'active', users: tenantUsers.map(user => user.email) },
+                });
+                console.log(`Tenant ${tenantId} ('${tenant.name}') deleted by ${decodedToken.email}: ${deletedUsers} users.`);
+                return res.status(200).send({ message: `Tenant '${tenant.name}' deleted.`, tenantId, deletedUsers });
+            }
+
+            default:
+                return res.status(400).send({ error: 'Invalid action specified.' });
+        }
+    } catch (error) {
+        console.error(`Error in manageTenant (action: ${action}, tenant: ${tenantId}):`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
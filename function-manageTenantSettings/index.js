@@ -0,0 +1,153 @@
+/**
+ * index.js for the 'manageTenantSettings' HTTP Cloud Function
+ *
+ * Reads and updates the tenant-wide settings stored in the `settings` map of
+ * the tenant document. Every user of the tenant can read the settings; only
+ * admins can change them. Settings that were never set report their default,
+ * which is also what the processing job falls back to. Every change is
+ * recorded in the tenant's audit log.
+ *
+ * gcloud functions deploy manageTenantSettings --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const { isTenantSuspended, recordAudit } = require('./tenancy');
+
+// Initialize Firebase Admin SDK
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+const MAX_FEW_SHOT_EXAMPLES = 20;
+const SUPPORTED_MODELS = ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'];
+const MAX_RETENTION_DAYS = 3650;
+
+function validateRetention(name) {
+    return value => value === null || (Number.isInteger(value) && value >= 1 && value <= MAX_RETENTION_DAYS)
+        ? null
+        : `${name} must be null or an integer between 1 and ${MAX_RETENTION_DAYS}.`;
+}
+
+// Every supported setting with its default and a validator returning an error message.
+const SETTINGS = {
+    // How many past human corrections the processing job includes in each prompt.
+    fewShotExamples: {
+        default: 5,
+        validate: value => Number.isInteger(value) && value >= 0 && value <= MAX_FEW_SHOT_EXAMPLES
+            ? null
+            : `fewShotExamples must be an integer between 0 and ${MAX_FEW_SHOT_EXAMPLES}.`,
+    },
+    // The model used by pipelines that do not pin one; null uses the job's default.
+    aiModel: {
+        default: null,
+        validate: value => value === null || SUPPORTED_MODELS.includes(value)
+            ? null
+            : `aiModel must be null or one of: ${SUPPORTED_MODELS.join(', ')}.`,
+    },
+    // Retention periods in days, enforced by the purgeData function; null keeps the data forever.
+    // Raw uploaded files:
+    uploadRetentionDays: { default: null, validate: validateRetention('uploadRetentionDays') },
+    // Row data, with the corrections and exports made from it:
+    rowRetentionDays: { default: null, validate: validateRetention('rowRetentionDays') },
+    // The rows' audit trails:
+    auditRetentionDays: { default: null, validate: validateRetention('auditRetentionDays') },
+};
+
+function withDefaults(settings) {
+    const resolved = {};
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        resolved[name] = settings?.[name] ?? setting.default;
+    }
+    return resolved;
+}
+
+functions.http('manageTenantSettings', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const { action } = req.body;
+    const { tenantId, role, email } = decodedToken;
+    if (!tenantId) {
+        return res.status(403).send({ error: 'Forbidden: Account is not configured for a tenant.' });
+    }
+    if (action !== 'getSettings' && role !== 'admin') {
+        return res.status(403).send({ error: 'Forbidden: Only admins can change tenant settings.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    const tenantRef = db.collection('tenants').doc(tenantId);
+
+    try {
+        // --- Action Dispatcher ---
+        switch (action) {
+            case 'getSettings': {
+                const tenantDoc = await tenantRef.get();
+                if (!tenantDoc.exists) {
+                    return res.status(404).send({ error: 'Tenant not found.' });
+                }
+                return res.status(200).send({ settings: withDefaults(tenantDoc.data().settings) });
+            }
+
+            case 'updateSettings': {
+                const { settings } = req.body;
+                if (!settings || typeof settings !== 'object' || Object.keys(settings).length === 0) {
+                    return res.status(400).send({ error: 'A settings object is required.' });
+                }
+                const updates = {};
+                for (const [name, value] of Object.entries(settings)) {
+                    if (!SETTINGS[name]) {
+                        return res.status(400).send({ error: `Unknown setting '${name}'.` });
+                    }
+                    const error = SETTINGS[name].validate(value);
+                    if (error) {
+                        return res.status(400).send({ error });
+                    }
+                    updates[`settings.${name}`] = value;
+                }
+                updates.settingsUpdatedAt = admin.firestore.FieldValue.serverTimestamp();
+                updates.settingsUpdatedBy = email;
+
+                const previousDoc = await tenantRef.get();
+                await tenantRef.update(updates);
+                const tenantDoc = await tenantRef.get();
+                const before = withDefaults(previousDoc.data()?.settings);
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'settings.update',
+                    target: { type: 'settings', id: tenantId },
+                    before: Object.fromEntries(Object.keys(settings).map(name => [name, before[name]])),
+                    after: settings,
+                });
+                return res.status(200).send({ message: 'Settings updated.', settings: withDefaults(tenantDoc.data().settings) });
+            }
+
+            default:
+                return res.status(400).send({ error: 'Invalid action specified.' });
+        }
+    } catch (error) {
+        console.error(`Error performing settings action '${action}' for tenant ${tenantId}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
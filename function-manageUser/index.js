@@ -3,11 +3,13 @@
  *
  * This secure, multi-purpose function allows a tenant admin to manage users
  * within their own tenant. It handles listing, role changes, disabling,
- * and deleting users based on the 'action' parameter in the request.
+ * and deleting users based on the 'action' parameter in the request. Every
+ * change is recorded in the tenant's audit log.
  */
 
 const functions = require('@google-cloud/functions-framework');
 const admin = require('firebase-admin');
+const { isTenantSuspended, recordAudit } = require('./tenancy');
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
@@ -44,6 +46,10 @@ functions.http('manageUser', async (req, res) => {
         return res.status(403).send({ error: 'Forbidden: Caller is not a tenant admin.' });
     }
 
+    if (await isTenantSuspended(decodedToken.tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
     const { action, uid, newRole, disabled } = req.body;
     const adminTenantId = decodedToken.tenantId;
 
@@ -74,6 +80,12 @@ functions.http('manageUser', async (req, res) => {
                     return res.status(403).send({ error: 'Forbidden: Cannot manage users of another tenant.' });
                 }
                 await auth.setCustomUserClaims(uid, { ...userToUpdate.customClaims, role: newRole });
+                await recordAudit(req, decodedToken, adminTenantId, {
+                    action: 'user.updateRole',
+                    target: { type: 'user', id: uid, email: userToUpdate.email || null },
+                    before: { role: userToUpdate.customClaims?.role || null },
+                    after: { role: newRole },
+                });
                 return res.status(200).send({ message: `Successfully updated role for user ${userToUpdate.email} to ${newRole}.` });
             }
 
@@ -86,6 +98,12 @@ functions.http('manageUser', async (req, res) => {
                     return res.status(403).send({ error: 'Forbidden: Cannot manage users of another tenant.' });
                 }
                 await auth.updateUser(uid, { disabled });
+                await recordAudit(req, decodedToken, adminTenantId, {
+                    action: disabled ? 'user.disable' : 'user.enable',
+                    target: { type: 'user', id: uid, email: userToDisable.email || null },
+                    before: { disabled: userToDisable.disabled },
+                    after: { disabled },
+                });
                 return res.status(200).send({ message: `Successfully ${disabled ? 'disabled' : 'enabled'} user ${userToDisable.email}.` });
             }
 
@@ -98,6 +116,11 @@ functions.http('manageUser', async (req, res) => {
                     return res.status(403).send({ error: 'Forbidden: Cannot manage users of another tenant.' });
                 }
                 await auth.deleteUser(uid);
+                await recordAudit(req, decodedToken, adminTenantId, {
+                    action: 'user.delete',
+                    target: { type: 'user', id: uid, email: userToDelete.email || null },
+                    before: { role: userToDelete.customClaims?.role || null, disabled: userToDelete.disabled },
+                });
                 return res.status(200).send({ message: `Successfully deleted user.` });
             }
 
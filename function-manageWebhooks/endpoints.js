@@ -0,0 +1,117 @@
+/**
+ * endpoints.js for the webhook Cloud Functions
+ *
+ * Kept in step with the copy in the other of manageWebhooks and
+ * deliverWebhooks; each function deploys from its own directory, so each
+ * carries one.
+ *
+ * Webhook endpoints are tenant-supplied URLs that these functions POST to
+ * from inside Google Cloud, so an endpoint may only resolve to public
+ * addresses: never to loopback, private, link-local (which includes the
+ * metadata server), shared or reserved ones. Requests are sent through an
+ * agent that checks the addresses its own DNS lookup returns, so the address
+ * that was checked is the one connected to.
+ */
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are checked as the IPv4 address they map.
+function isNonPublic(address, family) {
+    return NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function nonPublicError(hostname) {
+    return Object.assign(new Error(`The endpoint's host ${hostname} resolves to a loopback, private or link-local address.`), { code: 'ENONPUBLIC' });
+}
+
+/**
+ * A `dns.lookup` that fails for a host with any non-public address. Used by
+ * the agent when it connects; IP literals are not looked up, which is why
+ * checkEndpointUrl is also called before every request.
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(({ address, family }) => isNonPublic(address, family))) {
+            return callback(nonPublicError(hostname));
+        }
+        return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const agent = new Agent({ connect: { lookup: publicLookup } });
+
+/**
+ * Resolves the URL's host and checks every address it resolves to. Resolves
+ * to null when the endpoint may be called, otherwise to the reason it may
+ * not.
+ */
+async function checkEndpointUrl(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+        return `The endpoint's host ${hostname} could not be resolved.`;
+    }
+    return addresses.some(({ address, family }) => isNonPublic(address, family)) ? nonPublicError(hostname).message : null;
+}
+
+function signPayload(secret, timestamp, payload) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+/**
+ * POSTs one delivery to its endpoint, signed with the endpoint's secret.
+ * Resolves to { delivered, attempt }, where the attempt is what the delivery
+ * log records: when it was made, the response status (never the body), the
+ * error and how long it took.
+ */
+async function sendDelivery(endpoint, deliveryId, type, payload) {
+    const attempt = { at: new Date(), statusCode: null, error: null, durationMs: 0 };
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let delivered = false;
+    try {
+        const refused = await checkEndpointUrl(endpoint.url);
+        if (refused) throw new Error(refused);
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Clarity-Webhooks/1.0',
+                'X-Clarity-Event': type,
+                'X-Clarity-Delivery': deliveryId,
+                'X-Clarity-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, payload)}`,
+            },
+            body: payload,
+            redirect: 'manual',
+            dispatcher: agent,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        });
+        attempt.statusCode = response.status;
+        await response.body?.cancel();
+        delivered = response.ok;
+        if (!delivered) attempt.error = `The endpoint responded with HTTP ${response.status}.`;
+    } catch (error) {
+        // fetch reports connection failures, including a refused address, as the error's cause.
+        attempt.error = error.name === 'TimeoutError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds.` : error.cause?.message || error.message;
+    }
+    attempt.durationMs = Date.now() - started;
+    return { delivered, attempt };
+}
+
+module.exports = { checkEndpointUrl, sendDelivery };
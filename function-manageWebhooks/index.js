@@ -0,0 +1,317 @@
+/**
+ * index.js for the 'manageWebhooks' HTTP Cloud Function
+ *
+ * Lets tenant admins register HTTPS endpoints, in
+ * `tenants/{tenantId}/webhooks/{endpointId}`, that receive the tenant's
+ * events as signed JSON. An endpoint's host must resolve to public addresses
+ * only (see endpoints.js). The events are:
+ *
+ * - `job.started`, `job.completed`, `job.failed`, `job.cancelled`: sent by
+ *   the processing job as a file is processed, reclassified or reprocessed;
+ * - `row.edited`: sent by the updateRowClassification function, once per
+ *   edit of one or more rows.
+ *
+ * Every endpoint has its own secret, shown when the endpoint is created and
+ * when it is rotated, which signs each request (see the deliverWebhooks
+ * function for the signature and the retries). Admins can send an endpoint a
+ * `test` event, which is sent at once and not retried, and read the recent
+ * delivery log. Creating, changing, rotating and deleting endpoints is
+ * recorded in the tenant's audit log.
+ *
+ * gcloud functions deploy manageWebhooks --gen2 --runtime=nodejs22 --trigger-http --allow-unauthenticated
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { isTenantSuspended, recordAudit } = require('./tenancy');
+const { checkEndpointUrl, sendDelivery } = require('./endpoints');
+
+// Initialize Firebase Admin SDK
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+
+const WEBHOOK_EVENTS = ['job.started', 'job.completed', 'job.failed', 'job.cancelled', 'row.edited'];
+const MAX_ENDPOINTS = 20;
+const MAX_URL_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 200;
+const DEFAULT_DELIVERY_PAGE_SIZE = 50;
+const MAX_DELIVERY_PAGE_SIZE = 200;
+// Webhook deliveries are deleted by a Firestore TTL policy on `expireAt` after this long.
+const DELIVERY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function validateUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        parsed = null;
+    }
+    return parsed && parsed.protocol === 'https:' && url.length <= MAX_URL_LENGTH
+        ? null
+        : `url must be an https:// URL of at most ${MAX_URL_LENGTH} characters.`;
+}
+
+function validateEvents(events) {
+    return Array.isArray(events) && events.length > 0 && events.every(event => WEBHOOK_EVENTS.includes(event))
+        ? null
+        : `events must list one or more of: ${WEBHOOK_EVENTS.join(', ')}.`;
+}
+
+function validateDescription(description) {
+    return typeof description === 'string' && description.length <= MAX_DESCRIPTION_LENGTH
+        ? null
+        : `description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters.`;
+}
+
+function newSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function toIso(timestamp) {
+    return timestamp ? timestamp.toDate().toISOString() : null;
+}
+
+// An endpoint as listed; its secret is only returned on create and rotate.
+function describeEndpoint(endpointDoc) {
+    const endpoint = endpointDoc.data();
+    return {
+        id: endpointDoc.id,
+        url: endpoint.url,
+        description: endpoint.description,
+        events: endpoint.events,
+        active: endpoint.active,
+        createdBy: endpoint.createdBy,
+        createdAt: toIso(endpoint.createdAt),
+        secretRotatedAt: toIso(endpoint.secretRotatedAt),
+    };
+}
+
+function describeDelivery(deliveryDoc) {
+    const delivery = deliveryDoc.data();
+    return {
+        id: deliveryDoc.id,
+        endpointId: delivery.endpointId,
+        url: delivery.url,
+        type: delivery.type,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        lastStatusCode: delivery.lastStatusCode ?? null,
+        lastError: delivery.lastError || null,
+        createdAt: toIso(delivery.createdAt),
+        deliveredAt: toIso(delivery.deliveredAt),
+        nextAttemptAt: toIso(delivery.nextAttemptAt),
+        attemptLog: (delivery.attemptLog || []).map(({ at, statusCode, error, durationMs }) => ({ at: toIso(at), statusCode, error, durationMs })),
+        payload: delivery.payload,
+    };
+}
+
+/**
+ * Sends a test delivery to its endpoint once and records the attempt, as the
+ * deliverWebhooks function sends queued ones. Resolves to the recorded
+ * attempt.
+ */
+async function attemptTestDelivery(deliveryRef, endpoint) {
+    const delivery = (await deliveryRef.get()).data();
+    const { delivered, attempt } = await sendDelivery(endpoint, deliveryRef.id, delivery.type, delivery.payload);
+
+    await deliveryRef.update({
+        attempts: 1,
+        lastStatusCode: attempt.statusCode,
+        lastError: attempt.error,
+        attemptLog: admin.firestore.FieldValue.arrayUnion(attempt),
+        lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+        status: delivered ? 'delivered' : 'failed',
+        ...(delivered ? { deliveredAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+    });
+    return { ...attempt, status: delivered ? 'delivered' : 'failed' };
+}
+
+/**
+ * A secure, authenticated HTTP function for managing a tenant's webhook endpoints.
+ */
+functions.http('manageWebhooks', async (req, res) => {
+    // Set CORS headers for browser access
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(204).send('');
+    }
+
+    // --- Authentication & Authorization ---
+    const idToken = req.headers.authorization?.split('Bearer ')[1];
+    if (!idToken) {
+        return res.status(401).send({ error: 'Unauthorized' });
+    }
+
+    let decodedToken;
+    try {
+        decodedToken = await auth.verifyIdToken(idToken);
+    } catch (error) {
+        return res.status(401).send({ error: 'Invalid token.' });
+    }
+
+    const { tenantId, role, email } = decodedToken;
+    if (!tenantId || role !== 'admin') {
+        return res.status(403).send({ error: 'Forbidden: Only admins can manage webhooks.' });
+    }
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
+    }
+
+    const { action, endpointId } = req.body;
+    const tenantRef = db.collection('tenants').doc(tenantId);
+    const endpointsRef = tenantRef.collection('webhooks');
+    const deliveriesRef = tenantRef.collection('webhook_deliveries');
+    const needsEndpoint = ['updateEndpoint', 'rotateSecret', 'deleteEndpoint', 'sendTest'].includes(action);
+    if ((needsEndpoint || endpointId !== undefined) && (typeof endpointId !== 'string' || !endpointId || endpointId.includes('/'))) {
+        return res.status(400).send({ error: 'An endpointId is required.' });
+    }
+
+    try {
+        const endpointDoc = needsEndpoint ? await endpointsRef.doc(endpointId).get() : null;
+        if (needsEndpoint && !endpointDoc.exists) {
+            return res.status(404).send({ error: 'Webhook endpoint not found.' });
+        }
+
+        // --- Action Dispatcher ---
+        switch (action) {
+            case 'listEndpoints': {
+                const snapshot = await endpointsRef.orderBy('createdAt', 'desc').get();
+                return res.status(200).send({ endpoints: snapshot.docs.map(describeEndpoint), events: WEBHOOK_EVENTS });
+            }
+
+            case 'createEndpoint': {
+                const { url, events, description = '' } = req.body;
+                const error = validateUrl(url) || validateEvents(events) || validateDescription(description) || await checkEndpointUrl(url);
+                if (error) {
+                    return res.status(400).send({ error });
+                }
+                const endpointCount = await endpointsRef.count().get();
+                if (endpointCount.data().count >= MAX_ENDPOINTS) {
+                    return res.status(409).send({ error: `A tenant can have at most ${MAX_ENDPOINTS} webhook endpoints.` });
+                }
+
+                const endpointRef = endpointsRef.doc();
+                const secret = newSecret();
+                const subscribed = WEBHOOK_EVENTS.filter(event => events.includes(event));
+                await endpointRef.set({
+                    url,
+                    description: description.trim(),
+                    events: subscribed,
+                    active: true,
+                    // Kept in plain text: signing a delivery needs it.
+                    secret,
+                    createdBy: email,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    secretRotatedAt: null,
+                });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'webhook.create',
+                    target: { type: 'webhook', id: endpointRef.id, url },
+                    after: { url, events: subscribed, description: description.trim() },
+                });
+                // The secret is only returned here and on rotation.
+                return res.status(201).send({ message: 'Webhook endpoint created.', secret, endpoint: describeEndpoint(await endpointRef.get()) });
+            }
+
+            case 'updateEndpoint': {
+                const { url, events, description, active } = req.body;
+                const error = (url !== undefined && validateUrl(url))
+                    || (events !== undefined && validateEvents(events))
+                    || (description !== undefined && validateDescription(description))
+                    || (active !== undefined && typeof active !== 'boolean' && 'active must be true or false.')
+                    || (url !== undefined && await checkEndpointUrl(url));
+                if (error) {
+                    return res.status(400).send({ error });
+                }
+                const endpoint = endpointDoc.data();
+                const updates = {};
+                if (url !== undefined) updates.url = url;
+                if (events !== undefined) updates.events = WEBHOOK_EVENTS.filter(event => events.includes(event));
+                if (description !== undefined) updates.description = description.trim();
+                if (active !== undefined) updates.active = active;
+                if (Object.keys(updates).length === 0) {
+                    return res.status(400).send({ error: 'Nothing to update.' });
+                }
+                await endpointDoc.ref.update(updates);
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'webhook.update',
+                    target: { type: 'webhook', id: endpointId, url: endpoint.url },
+                    before: Object.fromEntries(Object.keys(updates).map(field => [field, endpoint[field]])),
+                    after: updates,
+                });
+                return res.status(200).send({ message: 'Webhook endpoint updated.', endpoint: describeEndpoint(await endpointDoc.ref.get()) });
+            }
+
+            case 'rotateSecret': {
+                const secret = newSecret();
+                await endpointDoc.ref.update({ secret, secretRotatedAt: admin.firestore.FieldValue.serverTimestamp() });
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'webhook.rotateSecret',
+                    target: { type: 'webhook', id: endpointId, url: endpointDoc.data().url },
+                });
+                return res.status(200).send({ message: 'Webhook secret rotated.', secret, endpoint: describeEndpoint(await endpointDoc.ref.get()) });
+            }
+
+            case 'deleteEndpoint': {
+                // Its pending deliveries are failed by the deliverWebhooks function.
+                await endpointDoc.ref.delete();
+                await recordAudit(req, decodedToken, tenantId, {
+                    action: 'webhook.delete',
+                    target: { type: 'webhook', id: endpointId, url: endpointDoc.data().url },
+                    before: { url: endpointDoc.data().url, events: endpointDoc.data().events, active: endpointDoc.data().active },
+                });
+                return res.status(200).send({ message: 'Webhook endpoint deleted.' });
+            }
+
+            case 'sendTest': {
+                const deliveryRef = deliveriesRef.doc();
+                const payload = JSON.stringify({
+                    id: crypto.randomUUID(),
+                    type: 'test',
+                    createdAt: new Date().toISOString(),
+                    tenantId,
+                    data: { message: 'This is a test event.', endpointId, sentBy: email },
+                });
+                await deliveryRef.set({
+                    endpointId,
+                    url: endpointDoc.data().url,
+                    type: 'test',
+                    payload,
+                    status: 'pending',
+                    attempts: 0,
+                    attemptLog: [],
+                    // Sent here, never by the deliverWebhooks function.
+                    nextAttemptAt: null,
+                    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                    expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + DELIVERY_TTL_MS),
+                });
+                const attempt = await attemptTestDelivery(deliveryRef, endpointDoc.data());
+                return res.status(200).send({
+                    message: attempt.status === 'delivered' ? 'Test event delivered.' : `Test event failed: ${attempt.error}`,
+                    delivery: describeDelivery(await deliveryRef.get()),
+                });
+            }
+
+            case 'listDeliveries': {
+                const { pageSize } = req.body;
+                const limit = Math.min(Number.isInteger(pageSize) && pageSize > 0 ? pageSize : DEFAULT_DELIVERY_PAGE_SIZE, MAX_DELIVERY_PAGE_SIZE);
+                let query = deliveriesRef;
+                if (endpointId) query = query.where('endpointId', '==', endpointId);
+                const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+                return res.status(200).send({ deliveries: snapshot.docs.map(describeDelivery) });
+            }
+
+            default:
+                return res.status(400).send({ error: 'Invalid action specified.' });
+        }
+    } catch (error) {
+        console.error(`Error performing webhook action '${action}' for tenant ${tenantId}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
@@ -3,18 +3,21 @@
  *
  * This version now counts the total rows from the uploaded CSV and saves
  * that count to the main job document in Firestore.
+ *
+ * Rows are classified through the AI provider layer (see providers.js) with
+ * the tenant's `aiModel` setting, and replies are requested as structured
+ * output against a JSON schema of the valid pools.
  */
 
 const functions = require('@google-cloud/functions-framework');
 const { Storage } = require('@google-cloud/storage');
 const csv = require('csv-parser');
-const { GoogleGenAI } = require('@google/genai');
 const { Firestore, FieldValue } = require('@google-cloud/firestore');
+const { createProvider } = require('./providers');
 
 // --- Configuration ---
 const PROJECT_ID = 'project-clarity-463800';
 const LOCATION = 'us-central1';
-const AI_MODEL = 'gemini-2.5-flash'; // Using a stable, available model
 
 // Firestore paths
 const definitionsCollection = 'definitions';
@@ -24,11 +27,6 @@ const tenantsCollection = 'tenants';
 // --- Client Initialization ---
 const storage = new Storage();
 const firestore = new Firestore();
-const genAI = new GoogleGenAI({
-    vertexai: true,
-    project: PROJECT_ID,
-    location: LOCATION,
-});
 
 
 // --- Caching for Definitions ---
@@ -74,6 +72,26 @@ function createPrompt(row, structuredDefs) {
   `;
 }
 
+/**
+ * The JSON schema of a reply: a cost pool and one of that pool's sub-pools.
+ */
+function createResponseSchema(structuredDefs) {
+    return {
+        anyOf: Object.entries(structuredDefs)
+            .filter(([, poolData]) => poolData.sub_pools.length > 0)
+            .map(([poolName, poolData]) => ({
+                type: 'object',
+                properties: {
+                    cost_pool: { type: 'string', enum: [poolName] },
+                    cost_sub_pool: { type: 'string', enum: poolData.sub_pools.map(subPool => subPool.name) },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 },
+                    reasoning: { type: 'string' },
+                },
+                required: ['cost_pool', 'cost_sub_pool', 'confidence', 'reasoning'],
+            })),
+    };
+}
+
 /**
  * Main Cloud Function logic
  */
@@ -91,18 +109,24 @@ functions.cloudEvent('processCSV', async (cloudEvent, context) => {
         }
 
         const filePath = fileData.name;
-        // The path now looks like: `uploads/{tenantId}/{jobId}/{filename}`
+        // The path now looks like: `uploads/{tenantId}/{pipelineId}/{jobId}/{filename}`
         const pathParts = filePath.split('/');
-        if (pathParts.length < 4 || pathParts[0] !== 'uploads') {
-            console.log(`File ${filePath} is not in a valid tenant/job directory, skipping.`);
+        if (pathParts.length < 5 || pathParts[0] !== 'uploads') {
+            console.log(`File ${filePath} is not in a valid tenant/pipeline/job directory, skipping.`);
             return;
         }
 
         const tenantId = pathParts[1];
-        const jobId = pathParts[2];
-        const originalFilename = pathParts[3];
+        const jobId = pathParts[3];
+        const originalFilename = pathParts.slice(4).join('/');
         console.log(`Processing file: ${originalFilename} for Tenant ID: ${tenantId}, Job ID: ${jobId}`);
 
+        const tenantDoc = await firestore.collection(tenantsCollection).doc(tenantId).get();
+        if (tenantDoc.exists && ['suspended', 'deleting'].includes(tenantDoc.data().status)) {
+            console.log(`Tenant ${tenantId} is suspended, skipping ${filePath}.`);
+            return;
+        }
+
         // Create the main job document within the correct tenant's subcollection
         const jobDocRef = firestore.collection(tenantsCollection).doc(tenantId).collection('jobs').doc(jobId);
         await jobDocRef.set({
@@ -112,6 +136,13 @@ functions.cloudEvent('processCSV', async (cloudEvent, context) => {
             status: 'reading' // Initial status
         });
 
+        const aiProvider = createProvider({
+            model: tenantDoc.exists ? tenantDoc.data().settings?.aiModel : null,
+            project: PROJECT_ID,
+            location: LOCATION,
+        });
+        const responseSchema = createResponseSchema(structuredDefs);
+
         const sourceFile = storage.bucket(fileData.bucket).file(filePath);
         const records = [];
         await new Promise((resolve, reject) => {
@@ -131,7 +162,6 @@ functions.cloudEvent('processCSV', async (cloudEvent, context) => {
 
         const classificationPromises = records.map(async (row, index) => {
             const prompt = createPrompt(row, structuredDefs);
-            const result = await genAI.models.generateContent({ model: AI_MODEL, contents: prompt });
             
             let classification = {
                 cost_pool: 'Unclassified',
@@ -141,8 +171,7 @@ functions.cloudEvent('processCSV', async (cloudEvent, context) => {
             };
 
             try {
-                const jsonText = result.text.trim().replace(/```json|```/g, '');
-                const suggestion = JSON.parse(jsonText);
+                const { data: suggestion } = await aiProvider.generateJson({ prompt, schema: responseSchema, inputs: row });
                 
                 if (suggestion.cost_pool && structuredDefs[suggestion.cost_pool]) {
                     const isValidSubpool = structuredDefs[suggestion.cost_pool].sub_pools.some(
@@ -158,7 +187,7 @@ functions.cloudEvent('processCSV', async (cloudEvent, context) => {
                     }
                 }
             } catch (e) {
-                console.error(`Failed to process row ${index}. Response text: "${result.text}"`, e);
+                console.error(`Failed to classify row ${index}:`, e);
             }
 
             // Write results to a subcollection within the specific job document
@@ -0,0 +1,126 @@
+/**
+ * providers.js for the 'processCSV' Cloud Function
+ *
+ * Kept in step with the copy in the 'process-csv' Cloud Run Job.
+ *
+ * The AI providers the job can classify with. Every provider implements
+ * `generateJson({ prompt, schema, inputs })` and resolves to
+ * `{ data, usage: { inputTokens, outputTokens } }`, where `data` is the
+ * parsed reply and conforms to the JSON `schema`. `inputs` holds the row
+ * data the prompt was built from, keyed like the top-level schema properties.
+ *
+ * - `vertex`: Gemini on Vertex AI, with structured output enforced by the schema.
+ * - `stub`: a deterministic, offline stand-in that derives a schema-valid
+ *   answer from a hash of each input. It needs no network or credentials.
+ *
+ * The provider is chosen by the AI_PROVIDER environment variable (default
+ * `vertex`); the model by the caller.
+ */
+
+const crypto = require('crypto');
+const { GoogleGenAI } = require('@google/genai');
+
+const DEFAULT_PROVIDER = 'vertex';
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+function createVertexProvider({ model, project, location }) {
+    const genAI = new GoogleGenAI({ vertexai: true, project, location });
+    return {
+        name: 'vertex',
+        model,
+        async generateJson({ prompt, schema }) {
+            const result = await genAI.models.generateContent({
+                model,
+                contents: prompt,
+                config: { responseMimeType: 'application/json', responseJsonSchema: schema },
+            });
+            return {
+                data: JSON.parse(result.text),
+                usage: {
+                    inputTokens: result.usageMetadata?.promptTokenCount || 0,
+                    outputTokens: result.usageMetadata?.candidatesTokenCount || 0,
+                },
+            };
+        },
+    };
+}
+
+function seedOf(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value) ?? '').digest().readUInt32BE(0);
+}
+
+function resolveRef(root, ref) {
+    // Only local references of the form '#/$defs/name' are supported.
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+}
+
+/**
+ * Builds a value that satisfies `schema`, chosen deterministically by `seed`.
+ */
+function stubValue(schema, seed, root) {
+    if (schema.$ref) return stubValue(resolveRef(root, schema.$ref), seed, root);
+    if (schema.anyOf) return stubValue(schema.anyOf[seed % schema.anyOf.length], seedOf([seed, 'anyOf']), root);
+    if (schema.enum) return schema.enum[seed % schema.enum.length];
+    switch (schema.type) {
+        case 'object': {
+            const value = {};
+            for (const [name, property] of Object.entries(schema.properties || {})) {
+                value[name] = stubValue(property, seedOf([seed, name]), root);
+            }
+            return value;
+        }
+        case 'array':
+            return [];
+        case 'number': {
+            const min = schema.minimum ?? 0;
+            const max = schema.maximum ?? 1;
+            return Math.round((min + (seed % 1000) / 1000 * (max - min)) * 100) / 100;
+        }
+        case 'integer':
+            return schema.minimum ?? 0;
+        case 'boolean':
+            return seed % 2 === 0;
+        default:
+            return 'Deterministic answer from the stub AI provider.';
+    }
+}
+
+function createStubProvider({ model }) {
+    return {
+        name: 'stub',
+        model,
+        async generateJson({ schema, inputs = {} }) {
+            const properties = Object.keys(schema.properties || {});
+            if (properties.length === 0 || !properties.every(name => name in inputs)) {
+                return { data: stubValue(schema, seedOf(inputs), schema), usage: { inputTokens: 0, outputTokens: 0 } };
+            }
+            // Each top-level property with its own input is seeded by it, so a row gets the same answer in any batch.
+            const data = {};
+            for (const name of properties) {
+                data[name] = stubValue(schema.properties[name], seedOf(inputs[name]), schema);
+            }
+            return { data, usage: { inputTokens: 0, outputTokens: 0 } };
+        },
+    };
+}
+
+const PROVIDERS = {
+    vertex: createVertexProvider,
+    stub: createStubProvider,
+};
+
+/**
+ * Creates the configured provider for a model. Without a model, the
+ * AI_MODEL environment variable or the default model is used.
+ */
+function createProvider({ model, project, location }) {
+    const name = process.env.AI_PROVIDER || DEFAULT_PROVIDER;
+    if (!PROVIDERS[name]) {
+        throw new Error(`Unknown AI_PROVIDER '${name}'. Supported providers are: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return PROVIDERS[name]({ model: model || process.env.AI_MODEL || DEFAULT_MODEL, project, location });
+}
+
+module.exports = {
+    createProvider,
+};
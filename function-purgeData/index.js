@@ -0,0 +1,324 @@
+/**
+ * index.js for the 'purgeData' HTTP Cloud Function
+ *
+ * Enforces each tenant's retention policy. The policy is three tenant
+ * settings (see manageTenantSettings), each a number of days after a job was
+ * created, or null to keep the data forever:
+ *
+ * - `uploadRetentionDays`: the raw files under `uploads/{tenantId}/` in the
+ *   `clarity-data` bucket. Files that belong to no job are aged by their
+ *   creation time.
+ * - `rowRetentionDays`: the job's rows, the corrections made on them, its
+ *   exports under `exports/{tenantId}/{jobId}/`, and memo entries not
+ *   refreshed within the period. The job document and its summary are kept.
+ * - `auditRetentionDays`: the rows' audit trails. While the audit history is
+ *   still kept, purged rows are replaced by a stub holding only `row_index`,
+ *   so that their audit trails stay reachable.
+ *
+ * Only settled jobs (completed, failed, cancelled or stopped at a quota) are
+ * purged, and jobs on legal hold (see manageJob) are skipped. A job is
+ * claimed (`purgingUntil`) while it is purged, and manageJob does not start
+ * a run for it meanwhile. Each step is recorded on the job
+ * (`uploadsPurgedAt`, `rowsPurgedAt`, `auditPurgedAt`) and runs only once.
+ * Every run writes a report per tenant with a policy to
+ * `tenants/{tenantId}/purge_reports`.
+ *
+ * Cloud Scheduler calls the function daily. It is not public: the
+ * scheduler's service account needs the Cloud Run Invoker role. The request
+ * body may name a single `tenantId`.
+ *
+ * gcloud functions deploy purgeData --gen2 --runtime=nodejs22 --trigger-http --no-allow-unauthenticated --timeout=3600
+ * gcloud scheduler jobs create http purge-data-daily --location=us-central1 --schedule="0 3 * * *" --uri=<function URL> --http-method=POST --oidc-service-account-email=<service account>
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const { Storage } = require('@google-cloud/storage');
+const admin = require('firebase-admin');
+
+// Initialize clients
+admin.initializeApp();
+const db = admin.firestore();
+const bucket = new Storage().bucket('clarity-data');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Statuses in which no Cloud Run Job is running or queued for the job.
+const SETTLED_STATUSES = ['completed', 'failed', 'cancelled', 'quota_exceeded'];
+const ROW_PAGE_SIZE = 500;
+// Jobs listed by name in a report; the totals count them all.
+const MAX_REPORTED_JOBS = 500;
+// A job being purged cannot be reclassified, reprocessed or resumed by manageJob for this long.
+const PURGE_CLAIM_MS = 60 * 60 * 1000;
+
+function cutoff(now, days) {
+    return Number.isInteger(days) ? new Date(now - days * DAY_MS) : null;
+}
+
+/**
+ * Deletes the given files. Resolves to how many there were.
+ */
+async function deleteFiles(files) {
+    await Promise.all(files.map(file => file.delete({ ignoreNotFound: true })));
+    return files.length;
+}
+
+/**
+ * A BulkWriter that counts deleted rows and audit entries, and row stubs written.
+ */
+function countingWriter(counts) {
+    const writer = db.bulkWriter();
+    writer.onWriteResult((documentRef) => {
+        if (documentRef.parent.id === 'audit_trail') counts.auditEntries++;
+        else if (documentRef.parent.id === 'rows') counts.rows++;
+    });
+    return writer;
+}
+
+/**
+ * Calls `handle` with each page of a job's row documents.
+ */
+async function forEachRowPage(jobRef, fields, handle) {
+    let query = jobRef.collection('rows').orderBy(admin.firestore.FieldPath.documentId()).select(...fields).limit(ROW_PAGE_SIZE);
+    for (;;) {
+        const snapshot = await query.get();
+        if (snapshot.empty) return;
+        await handle(snapshot.docs);
+        if (snapshot.size < ROW_PAGE_SIZE) return;
+        query = query.startAfter(snapshot.docs[snapshot.size - 1]);
+    }
+}
+
+/**
+ * Claims a listed job for purging inside a transaction, so that manageJob
+ * cannot start a run that writes its rows while they are deleted. Resolves
+ * to { job } once claimed, to { legalHold } when a hold was placed since the
+ * jobs were listed, or to {} when the job is no longer settled.
+ */
+function claimJobForPurge(jobRef) {
+    return db.runTransaction(async (transaction) => {
+        const jobDoc = await transaction.get(jobRef);
+        const job = jobDoc.data();
+        if (!jobDoc.exists || !SETTLED_STATUSES.includes(job.status)) return {};
+        if (job.legalHold) return { legalHold: job.legalHold };
+        transaction.update(jobRef, { purgingUntil: admin.firestore.Timestamp.fromMillis(Date.now() + PURGE_CLAIM_MS) });
+        return { job };
+    });
+}
+
+/**
+ * Purges what is due of one job. `due` says which of uploads, rows and audit
+ * trails have passed their retention period; `uploads` are the job's files.
+ */
+async function purgeJob(tenantId, jobRef, job, due, uploads) {
+    const counts = { uploads: 0, rows: 0, auditEntries: 0, corrections: 0, exports: 0 };
+    const updates = {};
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    if (due.uploads) {
+        counts.uploads = await deleteFiles(uploads);
+        updates.uploadsPurgedAt = now;
+    }
+
+    const auditGone = due.audit || job.auditPurgedAt;
+    if ((due.rows && auditGone) || (due.audit && job.rowsPurgedAt)) {
+        // Neither the rows nor their audit trails are kept: delete both.
+        const writer = countingWriter(counts);
+        await db.recursiveDelete(jobRef.collection('rows'), writer);
+        await writer.close();
+        if (job.rowsPurgedAt) counts.rows = 0; // Only stubs were left.
+    } else if (due.rows) {
+        // Keep each row's audit trail reachable under a stub.
+        const writer = countingWriter(counts);
+        await forEachRowPage(jobRef, ['row_index'], async (rowDocs) => {
+            for (const rowDoc of rowDocs) {
+                writer.set(rowDoc.ref, { row_index: rowDoc.get('row_index') ?? null, purgedAt: now });
+            }
+        });
+        await writer.close();
+    } else if (due.audit) {
+        const writer = countingWriter(counts);
+        await forEachRowPage(jobRef, [], async (rowDocs) => {
+            const trails = await Promise.all(rowDocs.map(rowDoc => rowDoc.ref.collection('audit_trail').select().get()));
+            trails.forEach(trail => trail.docs.forEach(entryDoc => writer.delete(entryDoc.ref)));
+        });
+        await writer.close();
+    }
+
+    if (due.rows) {
+        const tenantRef = db.collection('tenants').doc(tenantId);
+        const corrections = await tenantRef.collection('corrections').where('jobId', '==', jobRef.id).select().get();
+        const writer = db.bulkWriter();
+        corrections.docs.forEach(correctionDoc => writer.delete(correctionDoc.ref));
+        await writer.close();
+        counts.corrections = corrections.size;
+
+        const [exports] = await bucket.getFiles({ prefix: `exports/${tenantId}/${jobRef.id}/` });
+        counts.exports = await deleteFiles(exports);
+        updates.rowsPurgedAt = now;
+    }
+    if (due.audit) {
+        updates.auditPurgedAt = now;
+    }
+
+    await jobRef.update({ ...updates, purgingUntil: admin.firestore.FieldValue.delete() });
+    return counts;
+}
+
+/**
+ * Deletes memo entries not refreshed since `before`. The memo holds the text
+ * of classified rows, so it follows the row retention period.
+ */
+async function purgeMemo(tenantRef, before) {
+    const snapshot = await tenantRef.collection('memo').where('updatedAt', '<', before).select().get();
+    const writer = db.bulkWriter();
+    snapshot.docs.forEach(memoDoc => writer.delete(memoDoc.ref));
+    await writer.close();
+    return snapshot.size;
+}
+
+/**
+ * Applies one tenant's retention policy and writes its purge report.
+ * Resolves to the report, or null when the tenant keeps everything.
+ */
+async function purgeTenant(tenantDoc) {
+    const tenantId = tenantDoc.id;
+    const settings = tenantDoc.data().settings || {};
+    const policy = {
+        uploadRetentionDays: settings.uploadRetentionDays ?? null,
+        rowRetentionDays: settings.rowRetentionDays ?? null,
+        auditRetentionDays: settings.auditRetentionDays ?? null,
+    };
+    if (Object.values(policy).every(days => days === null)) {
+        return null;
+    }
+
+    const startedAt = new Date();
+    const cutoffs = {
+        uploads: cutoff(startedAt.getTime(), policy.uploadRetentionDays),
+        rows: cutoff(startedAt.getTime(), policy.rowRetentionDays),
+        audit: cutoff(startedAt.getTime(), policy.auditRetentionDays),
+    };
+    const report = {
+        policy,
+        startedAt: admin.firestore.Timestamp.fromDate(startedAt),
+        jobs: [],
+        jobsNotListed: 0,
+        heldJobs: [],
+        orphanUploads: 0,
+        memoEntries: 0,
+        totals: { uploads: 0, rows: 0, auditEntries: 0, corrections: 0, exports: 0 },
+        errors: [],
+    };
+
+    const tenantRef = tenantDoc.ref;
+    const uploadsByJob = new Map();
+    if (cutoffs.uploads) {
+        const [files] = await bucket.getFiles({ prefix: `uploads/${tenantId}/` });
+        for (const file of files) {
+            // uploads/{tenantId}/{pipelineId}/{jobId}/{filename}
+            const jobId = file.name.split('/')[3];
+            if (!uploadsByJob.has(jobId)) uploadsByJob.set(jobId, []);
+            uploadsByJob.get(jobId).push(file);
+        }
+    }
+
+    const jobsSnapshot = await tenantRef.collection('jobs')
+        .select('status', 'createdAt', 'originalFilename', 'legalHold', 'uploadsPurgedAt', 'rowsPurgedAt', 'auditPurgedAt')
+        .get();
+    for (const jobDoc of jobsSnapshot.docs) {
+        const job = jobDoc.data();
+        const uploads = uploadsByJob.get(jobDoc.id) || [];
+        uploadsByJob.delete(jobDoc.id);
+        if (!SETTLED_STATUSES.includes(job.status) || !job.createdAt) continue;
+
+        const createdAt = job.createdAt.toDate();
+        const due = {
+            uploads: Boolean(cutoffs.uploads && createdAt < cutoffs.uploads && uploads.length > 0),
+            rows: Boolean(cutoffs.rows && createdAt < cutoffs.rows && !job.rowsPurgedAt),
+            audit: Boolean(cutoffs.audit && createdAt < cutoffs.audit && !job.auditPurgedAt),
+        };
+        if (!due.uploads && !due.rows && !due.audit) continue;
+        if (job.legalHold) {
+            report.heldJobs.push({ jobId: jobDoc.id, originalFilename: job.originalFilename || null, reason: job.legalHold.reason || null });
+            continue;
+        }
+
+        try {
+            // A hold may have been placed, or a run started, since the jobs were listed.
+            const claim = await claimJobForPurge(jobDoc.ref);
+            if (claim.legalHold) {
+                report.heldJobs.push({ jobId: jobDoc.id, originalFilename: job.originalFilename || null, reason: claim.legalHold.reason || null });
+                continue;
+            }
+            if (!claim.job) continue;
+            let counts;
+            try {
+                counts = await purgeJob(tenantId, jobDoc.ref, claim.job, due, uploads);
+            } catch (error) {
+                await jobDoc.ref.update({ purgingUntil: admin.firestore.FieldValue.delete() });
+                throw error;
+            }
+            if (report.jobs.length < MAX_REPORTED_JOBS) {
+                report.jobs.push({ jobId: jobDoc.id, originalFilename: job.originalFilename || null, purged: Object.keys(due).filter(step => due[step]), ...counts });
+            } else {
+                report.jobsNotListed++;
+            }
+            for (const [name, count] of Object.entries(counts)) report.totals[name] += count;
+        } catch (error) {
+            console.error(`Error purging job ${jobDoc.id} of tenant ${tenantId}:`, error);
+            report.errors.push({ jobId: jobDoc.id, error: error.message });
+        }
+    }
+
+    // Files whose job document no longer exists, or never did.
+    for (const files of uploadsByJob.values()) {
+        const expired = files.filter(file => new Date(file.metadata.timeCreated) < cutoffs.uploads);
+        try {
+            report.orphanUploads += await deleteFiles(expired);
+        } catch (error) {
+            console.error(`Error purging orphaned uploads of tenant ${tenantId}:`, error);
+            report.errors.push({ jobId: null, error: error.message });
+        }
+    }
+    if (cutoffs.rows) {
+        report.memoEntries = await purgeMemo(tenantRef, cutoffs.rows);
+    }
+
+    report.finishedAt = admin.firestore.FieldValue.serverTimestamp();
+    await tenantRef.collection('purge_reports').add(report);
+    console.log(`Purged tenant ${tenantId}: ${report.jobs.length + report.jobsNotListed} jobs, ${report.heldJobs.length} on hold, ${report.errors.length} errors.`);
+    return report;
+}
+
+/**
+ * The scheduled purge. Access is restricted by IAM, so there is no token check.
+ */
+functions.http('purgeData', async (req, res) => {
+    const { tenantId } = req.body || {};
+    try {
+        const tenantDocs = tenantId
+            ? [await db.collection('tenants').doc(tenantId).get()].filter(tenantDoc => tenantDoc.exists)
+            : (await db.collection('tenants').get()).docs;
+        if (tenantId && tenantDocs.length === 0) {
+            return res.status(404).send({ error: 'Tenant not found.' });
+        }
+
+        const results = [];
+        for (const tenantDoc of tenantDocs) {
+            // A tenant being deleted is removed entirely by manageTenant.
+            if (tenantDoc.data().status === 'deleting') continue;
+            try {
+                const report = await purgeTenant(tenantDoc);
+                if (report) {
+                    results.push({ tenantId: tenantDoc.id, jobs: report.jobs.length + report.jobsNotListed, heldJobs: report.heldJobs.length, errors: report.errors.length });
+                }
+            } catch (error) {
+                console.error(`Error purging tenant ${tenantDoc.id}:`, error);
+                results.push({ tenantId: tenantDoc.id, error: error.message });
+            }
+        }
+        return res.status(200).send({ tenants: results });
+    } catch (error) {
+        console.error('Error in purgeData:', error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
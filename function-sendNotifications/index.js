@@ -0,0 +1,270 @@
+/**
+ * index.js for the 'sendNotifications' HTTP Cloud Function
+ *
+ * Sends the platform's notification emails through SendGrid:
+ *
+ * - Job emails. The processing job queues one in
+ *   `tenants/{tenantId}/notifications` when a file it processed completes
+ *   (`job.completed`: rows, classification sources, Unclassified rows and a
+ *   link to the job's review page) or a run fails (`job.failed`: the error
+ *   recorded on the job). They go to the user who uploaded the file, unless
+ *   that user turned the email off (see the manageNotifications function).
+ *   A send that fails is retried with exponential backoff until
+ *   MAX_ATTEMPTS.
+ * - The daily digest, when called with `{ "digest": true }`: every admin who
+ *   turned it on gets a summary of the jobs their tenant created in the last
+ *   day. No digest is sent for a day without jobs, nor to anyone who is no
+ *   longer an admin of the tenant.
+ *
+ * Cloud Scheduler calls the function every minute for job emails, and once
+ * a day for the digest. It is not public: the scheduler's service account
+ * needs the Cloud Run Invoker role. Queued emails are deleted 30 days after
+ * they were queued by the TTL policy on `expireAt` in
+ * web-main/firestore.indexes.json. APP_URL is the web app's address, for
+ * links.
+ *
+ * gcloud functions deploy sendNotifications --gen2 --runtime=nodejs22 --trigger-http --no-allow-unauthenticated --timeout=540 --set-env-vars=APP_URL=https://project-clarity-463800.web.app --set-secrets=SENDGRID_API_KEY=SENDGRID_API_KEY:latest
+ * gcloud scheduler jobs create http send-notifications --location=us-central1 --schedule="* * * * *" --uri=<function URL> --http-method=POST --oidc-service-account-email=<service account>
+ * gcloud scheduler jobs create http send-daily-digest --location=us-central1 --schedule="0 7 * * *" --uri=<function URL> --http-method=POST --headers=Content-Type=application/json --message-body='{"digest":true}' --oidc-service-account-email=<service account>
+ */
+
+const functions = require('@google-cloud/functions-framework');
+const admin = require('firebase-admin');
+const sgMail = require('@sendgrid/mail');
+
+// Initialize clients
+admin.initializeApp();
+const auth = admin.auth();
+const db = admin.firestore();
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+const FROM_EMAIL = 'no-reply@mappingclarity.com';
+const APP_URL = process.env.APP_URL || 'https://project-clarity-463800.web.app';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+// The first retry waits this long; each later one waits twice as long as the last.
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+// Queued emails taken per run.
+const MAX_EMAILS_PER_RUN = 200;
+// A claimed email is not taken by another run for this long.
+const CLAIM_MS = 5 * 60 * 1000;
+// Jobs a digest covers, newest first; the totals count only these.
+const MAX_DIGEST_JOBS = 500;
+// A digest is not sent twice to the same admin within this long, e.g. when the scheduler retries.
+const MIN_DIGEST_INTERVAL_MS = 20 * 60 * 60 * 1000;
+// Preferences of a user without a stored document (see manageNotifications).
+const DEFAULT_PREFERENCES = { jobCompleted: true, jobFailed: true, dailyDigest: false };
+// The preference that turns each kind of job email on or off.
+const PREFERENCE_BY_TYPE = { 'job.completed': 'jobCompleted', 'job.failed': 'jobFailed' };
+const RUN_LABELS = { process: 'processing', resume: 'resumed processing', reclassify: 'reclassification', reprocess: 'reprocessing' };
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function reviewUrl(jobId) {
+    return `${APP_URL}/#review/${encodeURIComponent(jobId)}`;
+}
+
+/**
+ * The subject and HTML body of a queued job email.
+ */
+function renderJobEmail(notification) {
+    const { type, jobId, job, run } = notification;
+    const filename = escapeHtml(job.originalFilename || jobId);
+    const link = `<p><a href="${reviewUrl(jobId)}">Open the job</a></p>`;
+    if (type === 'job.failed') {
+        return {
+            subject: `Job failed: ${job.originalFilename || jobId}`,
+            html: `<p>The ${RUN_LABELS[run] || 'processing'} of <strong>${filename}</strong> failed.</p><p>Error: ${escapeHtml(job.error || 'Unknown error.')}</p>${link}`,
+        };
+    }
+    const sources = Object.entries(job.classificationCounts || {})
+        .filter(([, count]) => count > 0)
+        .map(([source, count]) => `<li>${escapeHtml(source)}: ${count.toLocaleString('en-US')}</li>`)
+        .join('');
+    return {
+        subject: `Job completed: ${job.originalFilename || jobId}`,
+        html: `<p><strong>${filename}</strong> has been processed and is ready for review.</p>`
+            + `<ul><li>Rows: ${(job.totalRows ?? 0).toLocaleString('en-US')}</li>`
+            + `<li>Unclassified: ${job.unclassifiedRows.toLocaleString('en-US')}</li>`
+            + `<li>Could not be classified by the AI: ${job.unclassifiableRows.toLocaleString('en-US')}</li></ul>`
+            + (sources ? `<p>Classified by:</p><ul>${sources}</ul>` : '')
+            + link,
+    };
+}
+
+/**
+ * Sends a queued job email once, unless the recipient turned it off, and
+ * records the outcome. A failed send is retried with backoff until
+ * MAX_ATTEMPTS. Resolves to the email's new status.
+ */
+async function sendJobEmail(notificationRef) {
+    const notification = (await notificationRef.get()).data();
+    const preferencesDoc = await notificationRef.parent.parent.collection('notification_preferences').doc(notification.uid).get();
+    const preference = PREFERENCE_BY_TYPE[notification.type];
+    const enabled = preferencesDoc.exists ? preferencesDoc.data()[preference] ?? DEFAULT_PREFERENCES[preference] : DEFAULT_PREFERENCES[preference];
+    if (!enabled) {
+        await notificationRef.update({ status: 'skipped', nextAttemptAt: null });
+        return 'skipped';
+    }
+
+    const attempts = notification.attempts + 1;
+    try {
+        await sgMail.send({ to: notification.email, from: FROM_EMAIL, ...renderJobEmail(notification) });
+    } catch (error) {
+        const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+        await notificationRef.update({
+            status,
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: status === 'pending' ? admin.firestore.Timestamp.fromMillis(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)) : null,
+        });
+        return status;
+    }
+    await notificationRef.update({ status: 'sent', attempts, sentAt: admin.firestore.FieldValue.serverTimestamp(), nextAttemptAt: null });
+    return 'sent';
+}
+
+/**
+ * Claims a due email so that an overlapping run does not send it too.
+ * Resolves to false when it was already taken or is no longer due.
+ */
+function claimEmail(notificationRef, now) {
+    return db.runTransaction(async (transaction) => {
+        const notificationDoc = await transaction.get(notificationRef);
+        const notification = notificationDoc.data();
+        if (!notificationDoc.exists || notification.status !== 'pending' || notification.nextAttemptAt.toMillis() > now) {
+            return false;
+        }
+        transaction.update(notificationRef, { nextAttemptAt: admin.firestore.Timestamp.fromMillis(now + CLAIM_MS) });
+        return true;
+    });
+}
+
+/**
+ * Sends the job emails that are due. Resolves to counts by outcome.
+ */
+async function sendQueuedEmails() {
+    const now = Date.now();
+    const snapshot = await db.collectionGroup('notifications')
+        .where('status', '==', 'pending')
+        .where('nextAttemptAt', '<=', admin.firestore.Timestamp.fromMillis(now))
+        .orderBy('nextAttemptAt')
+        .limit(MAX_EMAILS_PER_RUN)
+        .get();
+
+    const counts = { sent: 0, skipped: 0, retrying: 0, failed: 0, errors: 0 };
+    for (const notificationDoc of snapshot.docs) {
+        try {
+            if (!(await claimEmail(notificationDoc.ref, now))) continue;
+            const status = await sendJobEmail(notificationDoc.ref);
+            counts[status === 'pending' ? 'retrying' : status]++;
+        } catch (error) {
+            console.error(`Error sending notification ${notificationDoc.ref.path}:`, error);
+            counts.errors++;
+        }
+    }
+    return counts;
+}
+
+/**
+ * The subject and HTML body of a tenant's daily digest, or null when the
+ * tenant created no jobs in the period.
+ */
+function renderDigest(tenant, jobDocs, since) {
+    if (jobDocs.length === 0) return null;
+    const byStatus = {};
+    let rows = 0;
+    let unclassified = 0;
+    const failed = [];
+    for (const jobDoc of jobDocs) {
+        const job = jobDoc.data();
+        byStatus[job.status] = (byStatus[job.status] || 0) + 1;
+        rows += job.totalRows || 0;
+        unclassified += job.summary?.pools?.Unclassified?.rows || 0;
+        if (job.status === 'failed') failed.push({ id: jobDoc.id, filename: job.originalFilename || jobDoc.id, error: job.error });
+    }
+    const statuses = Object.entries(byStatus)
+        .map(([status, count]) => `<li>${escapeHtml(status)}: ${count}</li>`)
+        .join('');
+    const failures = failed
+        .map(job => `<li><a href="${reviewUrl(job.id)}">${escapeHtml(job.filename)}</a>: ${escapeHtml(job.error || 'Unknown error.')}</li>`)
+        .join('');
+    const name = tenant.name || 'your tenant';
+    return {
+        subject: `Daily digest for ${name}: ${jobDocs.length} job${jobDocs.length === 1 ? '' : 's'}`,
+        html: `<p>Jobs created for <strong>${escapeHtml(name)}</strong> since ${since.toISOString().replace('T', ' ').slice(0, 16)} UTC:</p>`
+            + `<ul>${statuses}</ul>`
+            + `<p>Rows processed: ${rows.toLocaleString('en-US')}. Unclassified rows: ${unclassified.toLocaleString('en-US')}.</p>`
+            + (failures ? `<p>Failed jobs:</p><ul>${failures}</ul>` : '')
+            + `<p><a href="${APP_URL}/#history">Open the job history</a></p>`,
+    };
+}
+
+/**
+ * Sends the daily digest to each of the tenant's admins who turned it on.
+ * Resolves to how many were sent.
+ */
+async function sendTenantDigest(tenantDoc, now) {
+    const subscribers = await tenantDoc.ref.collection('notification_preferences').where('dailyDigest', '==', true).get();
+    if (subscribers.empty) return 0;
+
+    const since = new Date(now - DAY_MS);
+    const jobs = await tenantDoc.ref.collection('jobs')
+        .where('createdAt', '>=', since)
+        .orderBy('createdAt', 'desc')
+        .limit(MAX_DIGEST_JOBS)
+        .get();
+    const digest = renderDigest(tenantDoc.data(), jobs.docs, since);
+    if (!digest) return 0;
+
+    let sent = 0;
+    for (const preferencesDoc of subscribers.docs) {
+        const lastDigestAt = preferencesDoc.data().lastDigestAt;
+        if (lastDigestAt && now - lastDigestAt.toMillis() < MIN_DIGEST_INTERVAL_MS) continue;
+        // The role is checked again, as it may have changed since the digest was turned on.
+        let user;
+        try {
+            user = await auth.getUser(preferencesDoc.id);
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') continue;
+            throw error;
+        }
+        const claims = user.customClaims || {};
+        if (user.disabled || !user.email || claims.tenantId !== tenantDoc.id || claims.role !== 'admin') continue;
+
+        await sgMail.send({ to: user.email, from: FROM_EMAIL, ...digest });
+        await preferencesDoc.ref.update({ lastDigestAt: admin.firestore.Timestamp.fromMillis(now) });
+        sent++;
+    }
+    return sent;
+}
+
+/**
+ * A scheduled HTTP function that sends due job emails, or the daily digest.
+ */
+functions.http('sendNotifications', async (req, res) => {
+    try {
+        if (req.body?.digest !== true) {
+            return res.status(200).send(await sendQueuedEmails());
+        }
+
+        const now = Date.now();
+        const results = [];
+        for (const tenantDoc of (await db.collection('tenants').get()).docs) {
+            if (['suspended', 'deleting'].includes(tenantDoc.data().status)) continue;
+            try {
+                const sent = await sendTenantDigest(tenantDoc, now);
+                if (sent > 0) results.push({ tenantId: tenantDoc.id, sent });
+            } catch (error) {
+                console.error(`Error sending the daily digest of tenant ${tenantDoc.id}:`, error);
+                results.push({ tenantId: tenantDoc.id, error: error.message });
+            }
+        }
+        return res.status(200).send({ tenants: results });
+    } catch (error) {
+        console.error('Error in sendNotifications:', error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+    }
+});
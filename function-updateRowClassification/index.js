@@ -3,106 +3,538 @@
  *
  * This version now accepts both a new cost pool and sub-pool in a
  * single request, validates the changes, and creates detailed audit
- * trail records for each field that was modified.
+ * trail records for each field that was modified. A new classification must
+ * exist in the taxonomy version the job was classified against.
+ *
+ * Every corrected row is also recorded in the tenant's `corrections`
+ * collection (one document per row, holding the row's AI input, the human's
+ * latest choice and the AI's original suggestion with its confidence). The
+ * processing job uses these records as few-shot examples for similar rows in
+ * later uploads, and the getAccuracyAnalytics function measures override
+ * rates from them.
+ * The correction also becomes the tenant's memo entry for the row's AI
+ * columns (`tenants/{tenantId}/memo/{fingerprint}`), so identical rows in
+ * later uploads take the human's choice without calling the AI.
+ *
+ * A request can also edit many rows at once: either a list of `rowIds` or a
+ * `filter` over the job's rows, with the fields of the review page's filter
+ * (cost_pool, cost_sub_pool, manuallyEdited, confidenceMin, confidenceMax and
+ * a search word). Bulk edits are applied in chunks of rows, each chunk in one
+ * transaction, with the same audit entries, corrections and memo entries as
+ * single-row edits.
+ *
+ * Rows carry a review state (suggested, reviewed, approved or rejected) with
+ * who set it and when. A request can set the state with or without a new
+ * classification. Once an admin approves the job (see the manageJob
+ * function), its rows are locked against edits.
+ *
+ * A classification change also moves the row's count and amount between the
+ * pools and sub-pools of the job's `summary`, which the processing job
+ * rebuilds from all rows after every run.
+ *
+ * Integrations can call it with a tenant API key that has the `edit` scope
+ * (see the manageApiKeys function) instead of signing in. Their changes are
+ * attributed to the key.
+ *
+ * Each request that changes rows queues one `row.edited` webhook event for
+ * the tenant's endpoints (see the manageWebhooks function).
  */
 
 const functions = require('@google-cloud/functions-framework');
 const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { isTenantSuspended } = require('./tenancy');
+const { authenticateApiKey } = require('./apiKeys');
 
 // Initialize Firebase Admin SDK
 admin.initializeApp();
 const auth = admin.auth();
 const db = admin.firestore();
 
+// Rows updated per transaction by a bulk edit. Each row takes up to five writes
+// (the row, two audit entries, the correction and the memo entry).
+const BULK_CHUNK_SIZE = 50;
+// A bulk edit by filter touches at most this many rows.
+const MAX_BULK_ROWS = 5000;
+// Review states of a row. The processing job writes rows as 'suggested'; an
+// edit without an explicit state marks the row 'reviewed'.
+const REVIEW_STATES = ['suggested', 'reviewed', 'approved', 'rejected'];
+// The pool and sub-pool of a row the AI could not classify; a user may set it too.
+const UNCLASSIFIED = 'Unclassified';
+// Webhook deliveries are deleted by a Firestore TTL policy on `expireAt` after this long.
+const WEBHOOK_DELIVERY_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function normalizeMemoText(value) {
+    return String(value ?? '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Fingerprints a row's AI columns exactly as the processing job does.
+ */
+function memoFingerprint(taxonomy, aiInput) {
+    const pairs = Object.entries(aiInput)
+        .map(([column, value]) => [normalizeMemoText(column), normalizeMemoText(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    if (pairs.every(([, value]) => value === '')) return null;
+    return crypto.createHash('sha256').update(JSON.stringify([taxonomy, pairs])).digest('hex');
+}
+
+/**
+ * Returns only the job's AI source columns from a row's original data.
+ * Jobs created before pipelines recorded their columns send the whole row.
+ */
+function selectAIColumns(rowData, sourceColumnsForAI) {
+    if (!Array.isArray(sourceColumnsForAI)) return rowData || {};
+    const selected = {};
+    for (const column of sourceColumnsForAI) {
+        if (rowData && column in rowData) {
+            selected[column] = rowData[column];
+        }
+    }
+    return selected;
+}
+
+/**
+ * Loads the definitions of the taxonomy version a job was classified
+ * against: the global standard taxonomy or the tenant's custom one.
+ * Taxonomies written before versioning have no currentVersion and count as
+ * version 0. Resolves to null when the version no longer exists.
+ */
+async function getJobDefinitions(tenantRef, job) {
+    const headRef = job.taxonomy === 'custom'
+        ? tenantRef.collection('definitions').doc('custom')
+        : db.collection('definitions').doc('hierarchical');
+    const headDoc = await headRef.get();
+    if (!headDoc.exists) return null;
+    const currentVersion = headDoc.data().currentVersion ?? 0;
+    const version = job.taxonomyVersion ?? currentVersion;
+    if (version === currentVersion) {
+        return headDoc.data().data || {};
+    }
+    const versionDoc = await headRef.collection('versions').doc(String(version)).get();
+    return versionDoc.exists ? (versionDoc.data().data || {}) : null;
+}
+
+/**
+ * Checks a new classification against the job's taxonomy version, as the
+ * manageRules function checks a rule's. 'Unclassified' is always allowed,
+ * for the pool with its sub-pool or for the sub-pool alone. Resolves to an
+ * error message, or null when the classification is valid.
+ */
+async function validateClassification(tenantRef, jobId, newCostPool, newCostSubPool) {
+    if (typeof newCostPool !== 'string' || !newCostPool || typeof newCostSubPool !== 'string' || !newCostSubPool) {
+        return 'newCostPool and newCostSubPool must be non-empty strings.';
+    }
+    if (newCostPool === UNCLASSIFIED) {
+        return newCostSubPool === UNCLASSIFIED ? null : `An ${UNCLASSIFIED} row must have the ${UNCLASSIFIED} sub-pool.`;
+    }
+    const jobDoc = await tenantRef.collection('jobs').doc(jobId).get();
+    if (!jobDoc.exists) {
+        throw httpError(404, 'Job not found.');
+    }
+    const job = jobDoc.data();
+    const taxonomy = job.taxonomy || 'standard';
+    const definitions = await getJobDefinitions(tenantRef, job);
+    if (!definitions) {
+        return `Version ${job.taxonomyVersion ?? 0} of the ${taxonomy} taxonomy was not found.`;
+    }
+    const pool = definitions[newCostPool];
+    if (!pool) {
+        return `Cost pool '${newCostPool}' does not exist in the job's ${taxonomy} taxonomy.`;
+    }
+    if (newCostSubPool !== UNCLASSIFIED && !pool.sub_pools.some(sp => sp.name === newCostSubPool)) {
+        return `Sub-pool '${newCostSubPool}' does not exist under cost pool '${newCostPool}'.`;
+    }
+    return null;
+}
+
+/**
+ * The IDs of a job's rows matching a bulk edit filter, selected as the review
+ * page queries them: cost pool, sub-pool and edited state by equality, a
+ * word of the original data through `search_tokens`, and a confidence range.
+ */
+async function queryFilteredRowIds(jobDocRef, filter) {
+    let query = jobDocRef.collection('rows');
+    if (filter.cost_pool !== undefined) query = query.where('cost_pool', '==', filter.cost_pool);
+    if (filter.cost_sub_pool !== undefined) query = query.where('cost_sub_pool', '==', filter.cost_sub_pool);
+    if (filter.manuallyEdited !== undefined) query = query.where('manually_edited', '==', filter.manuallyEdited);
+    if (filter.search) query = query.where('search_tokens', 'array-contains', String(filter.search).normalize('NFKC').toLowerCase());
+    // The confidence range is applied here, so the query needs no composite index.
+    const snapshot = await query.select('confidence').get();
+    return snapshot.docs
+        .filter(rowDoc => {
+            const confidence = rowDoc.get('confidence');
+            return (filter.confidenceMin === undefined || confidence >= filter.confidenceMin)
+                && (filter.confidenceMax === undefined || confidence <= filter.confidenceMax);
+        })
+        .map(rowDoc => rowDoc.id);
+}
+
+/**
+ * Moves a row's count and amount from its old pool and sub-pool to its new
+ * ones in `summaryDeltas`, keyed by the summary field path they increment.
+ */
+function addSummaryMove(summaryDeltas, oldData, newCostPool, newCostSubPool) {
+    const amount = typeof oldData.amount === 'number' ? oldData.amount : 0;
+    const move = (pool, subPool, sign) => {
+        const paths = [['pools', pool || 'Unclassified']];
+        if (subPool) paths.push([...paths[0], 'subPools', subPool]);
+        for (const path of paths) {
+            const key = JSON.stringify(path);
+            const delta = summaryDeltas.get(key) || { path, rows: 0, amount: 0 };
+            delta.rows += sign;
+            delta.amount += sign * amount;
+            summaryDeltas.set(key, delta);
+        }
+    };
+    move(oldData.cost_pool, oldData.cost_sub_pool, -1);
+    move(newCostPool, newCostSubPool, 1);
+}
+
+/**
+ * Stages one row's manual classification and/or review state in a
+ * transaction: the row update, an audit entry per changed field, and for a
+ * classification change the tenant correction and the memo entry. Memo
+ * entries are collected in `memoWrites` by fingerprint, so rows with
+ * identical AI columns in one transaction write their entry once; review
+ * state changes are tallied in `reviewDeltas` and summary moves in
+ * `summaryDeltas`. Returns whether the row changed.
+ */
+function stageRowEdit(transaction, { tenantRef, jobId, job, email, rowDoc, newCostPool, newCostSubPool, reviewState, memoWrites, reviewDeltas, summaryDeltas }) {
+    const oldData = rowDoc.data();
+    const updates = {};
+    const auditEvents = [];
+    const timestamp = admin.firestore.FieldValue.serverTimestamp();
+
+    // Check if cost_pool has changed
+    if (newCostPool !== undefined && oldData.cost_pool !== newCostPool) {
+        updates.cost_pool = newCostPool;
+        auditEvents.push({
+            field: 'cost_pool',
+            oldValue: oldData.cost_pool,
+            newValue: newCostPool,
+        });
+    }
+
+    // Check if cost_sub_pool has changed
+    if (newCostSubPool !== undefined && oldData.cost_sub_pool !== newCostSubPool) {
+        updates.cost_sub_pool = newCostSubPool;
+        auditEvents.push({
+            field: 'cost_sub_pool',
+            oldValue: oldData.cost_sub_pool,
+            newValue: newCostSubPool,
+        });
+    }
+
+    const classificationChanged = auditEvents.length > 0;
+    const oldState = oldData.review_state || 'suggested';
+    const newState = reviewState ?? (classificationChanged ? 'reviewed' : oldState);
+    if (newState !== oldState) {
+        updates.review_state = newState;
+        updates.review_state_by = email;
+        updates.review_state_at = timestamp;
+        auditEvents.push({
+            field: 'review_state',
+            oldValue: oldState,
+            newValue: newState,
+        });
+        reviewDeltas[oldState]--;
+        reviewDeltas[newState]++;
+    }
+
+    if (Object.keys(updates).length === 0) {
+        return false;
+    }
+
+    if (classificationChanged) {
+        updates.manually_edited = true; // Flag that this row has been changed
+    }
+    transaction.update(rowDoc.ref, updates);
+
+    for (const event of auditEvents) {
+        transaction.set(rowDoc.ref.collection('audit_trail').doc(), {
+            changedBy: email,
+            timestamp: timestamp,
+            ...event
+        });
+    }
+    if (!classificationChanged) {
+        return true;
+    }
+    addSummaryMove(summaryDeltas, oldData, updates.cost_pool ?? oldData.cost_pool, updates.cost_sub_pool ?? oldData.cost_sub_pool);
+
+    const rowId = rowDoc.id;
+    const correction = {
+        jobId,
+        rowId,
+        pipelineId: job.pipelineId || null,
+        taxonomy: job.taxonomy || 'standard',
+        taxonomyVersion: oldData.taxonomy_version ?? job.taxonomyVersion ?? 0,
+        ai_input: selectAIColumns(oldData.original_data, job.sourceColumnsForAI),
+        cost_pool: newCostPool,
+        cost_sub_pool: newCostSubPool,
+        correctedBy: email,
+        correctedAt: timestamp,
+    };
+    // The first manual edit replaces the AI's suggestion; later edits keep the recorded one.
+    if (!oldData.manually_edited) {
+        correction.ai_cost_pool = oldData.cost_pool;
+        correction.ai_cost_sub_pool = oldData.cost_sub_pool;
+        correction.ai_confidence = oldData.confidence ?? null;
+    }
+    transaction.set(tenantRef.collection('corrections').doc(`${jobId}_${rowId}`), correction, { merge: true });
+
+    const fingerprint = memoFingerprint(correction.taxonomy, correction.ai_input);
+    if (fingerprint && newCostPool !== 'Unclassified') {
+        memoWrites.set(fingerprint, {
+            source: 'human',
+            taxonomy: correction.taxonomy,
+            taxonomyVersion: correction.taxonomyVersion,
+            ai_input: correction.ai_input,
+            cost_pool: newCostPool,
+            cost_sub_pool: newCostSubPool,
+            correctedBy: email,
+            jobId,
+            rowId,
+            updatedAt: timestamp,
+        });
+    }
+    return true;
+}
+
+/**
+ * Applies one classification and/or review state to a set of rows in a
+ * single transaction, keeping the job's `reviewCounts` and `summary` current. Refuses
+ * edits to an approved job or one whose rows were purged. Resolves to the number of rows that changed.
+ */
+async function applyEdits(tenantRef, jobId, rowIds, edit) {
+    const jobDocRef = tenantRef.collection('jobs').doc(jobId);
+    return db.runTransaction(async (transaction) => {
+        const [jobDoc, ...rowDocs] = await transaction.getAll(jobDocRef, ...rowIds.map(rowId => jobDocRef.collection('rows').doc(rowId)));
+        const missing = rowDocs.filter(rowDoc => !rowDoc.exists);
+        if (missing.length > 0) {
+            throw new Error(`Row document not found: ${missing.map(rowDoc => rowDoc.id).join(', ')}.`);
+        }
+        const job = jobDoc.exists ? jobDoc.data() : {};
+        if (job.reviewStatus === 'approved') {
+            throw httpError(409, 'The job has been approved and is locked. An admin must reopen it before rows can be edited.');
+        }
+        if (job.rowsPurgedAt) {
+            throw httpError(409, "The job's rows have been purged under the tenant's retention policy.");
+        }
+        const memoWrites = new Map();
+        const reviewDeltas = Object.fromEntries(REVIEW_STATES.map(state => [state, 0]));
+        const summaryDeltas = new Map();
+        let rowsChanged = 0;
+        for (const rowDoc of rowDocs) {
+            if (stageRowEdit(transaction, { tenantRef, jobId, job, rowDoc, memoWrites, reviewDeltas, summaryDeltas, ...edit })) rowsChanged++;
+        }
+        for (const [fingerprint, entry] of memoWrites) {
+            transaction.set(tenantRef.collection('memo').doc(fingerprint), entry);
+        }
+        // Pool names are summary map keys and may hold any character, so the increments use field paths.
+        const { FieldPath, FieldValue } = admin.firestore;
+        const jobUpdates = [];
+        // Jobs from before review states were counted have no reviewCounts to keep.
+        if (job.reviewCounts && REVIEW_STATES.some(state => reviewDeltas[state] !== 0)) {
+            for (const state of REVIEW_STATES) {
+                jobUpdates.push(new FieldPath('reviewCounts', state), FieldValue.increment(reviewDeltas[state]));
+            }
+        }
+        // Likewise, jobs without a summary have none to adjust.
+        if (job.summary) {
+            for (const { path, rows, amount } of summaryDeltas.values()) {
+                if (rows === 0 && amount === 0) continue;
+                jobUpdates.push(new FieldPath('summary', ...path, 'rows'), FieldValue.increment(rows));
+                jobUpdates.push(new FieldPath('summary', ...path, 'amount'), FieldValue.increment(amount));
+            }
+        }
+        if (jobUpdates.length > 0) {
+            transaction.update(jobDocRef, ...jobUpdates);
+        }
+        return rowsChanged;
+    });
+}
+
+/**
+ * Queues a webhook event for every active endpoint of the tenant that
+ * subscribes to `type`; the deliverWebhooks function signs and sends them.
+ * A failure to queue is logged, not returned to the caller, as the edit
+ * itself succeeded.
+ */
+async function enqueueWebhookEvent(tenantRef, type, data) {
+    try {
+        const endpoints = await tenantRef.collection('webhooks').where('active', '==', true).get();
+        const subscribed = endpoints.docs.filter(endpointDoc => endpointDoc.data().events.includes(type));
+        if (subscribed.length === 0) return;
+
+        const payload = JSON.stringify({ id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), tenantId: tenantRef.id, data });
+        const batch = db.batch();
+        for (const endpointDoc of subscribed) {
+            batch.set(tenantRef.collection('webhook_deliveries').doc(), {
+                endpointId: endpointDoc.id,
+                url: endpointDoc.data().url,
+                type,
+                payload,
+                status: 'pending',
+                attempts: 0,
+                attemptLog: [],
+                nextAttemptAt: admin.firestore.Timestamp.now(),
+                createdAt: admin.firestore.FieldValue.serverTimestamp(),
+                expireAt: admin.firestore.Timestamp.fromMillis(Date.now() + WEBHOOK_DELIVERY_TTL_MS),
+            });
+        }
+        await batch.commit();
+    } catch (error) {
+        console.error(`Could not queue the '${type}' webhook event for tenant ${tenantRef.id}:`, error);
+    }
+}
+
 functions.http('updateRowClassification', async (req, res) => {
     // Set CORS headers for browser access
     res.set('Access-Control-Allow-Origin', '*');
     res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key');
 
     if (req.method === 'OPTIONS') {
         return res.status(204).send('');
     }
 
     // --- Authentication & Authorization ---
-    const idToken = req.headers.authorization?.split('Bearer ')[1];
-    if (!idToken) {
-        return res.status(401).send({ error: 'Unauthorized' });
-    }
+    // Users sign in with Firebase; integrations send an API key with the 'edit' scope.
+    let caller;
+    if (req.headers['x-api-key']) {
+        let result;
+        try {
+            result = await authenticateApiKey(req, 'edit');
+        } catch (error) {
+            console.error('Error verifying an API key:', error);
+            return res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+        }
+        if (!result.caller) {
+            return res.status(result.status).send({ error: result.error });
+        }
+        caller = result.caller;
+    } else {
+        const idToken = req.headers.authorization?.split('Bearer ')[1];
+        if (!idToken) {
+            return res.status(401).send({ error: 'Unauthorized' });
+        }
 
-    let decodedToken;
-    try {
-        decodedToken = await auth.verifyIdToken(idToken);
-    } catch (error) {
-        return res.status(401).send({ error: 'Invalid token.' });
+        try {
+            caller = await auth.verifyIdToken(idToken);
+        } catch (error) {
+            return res.status(401).send({ error: 'Invalid token.' });
+        }
+
+        if (!caller.tenantId || (caller.role !== 'admin' && caller.role !== 'uploader')) {
+            return res.status(403).send({ error: 'Forbidden: User does not have permission to update records.' });
+        }
     }
 
-    const { tenantId, role, email } = decodedToken;
-    if (!tenantId || (role !== 'admin' && role !== 'uploader')) {
-        return res.status(403).send({ error: 'Forbidden: User does not have permission to update records.' });
+    // Changes made with an API key are attributed to the key ('api-key:{name}').
+    const { tenantId, email } = caller;
+
+    if (await isTenantSuspended(tenantId)) {
+        return res.status(403).send({ error: 'Forbidden: This tenant is suspended.' });
     }
 
     // --- Main Logic ---
-    // **MODIFIED**: Now expects newCostPool and newCostSubPool
-    const { jobId, rowId, newCostPool, newCostSubPool } = req.body;
-    if (!jobId || !rowId || newCostPool === undefined || newCostSubPool === undefined) {
-        return res.status(400).send({ error: 'Missing required fields: jobId, rowId, newCostPool, newCostSubPool.' });
+    // A single `rowId`, or a bulk edit of many `rowIds` or of every row matching a `filter`.
+    // Each sets a new classification, a `reviewState`, or both.
+    const { jobId, rowId, rowIds, filter, newCostPool, newCostSubPool, reviewState } = req.body;
+    const hasClassification = newCostPool !== undefined && newCostSubPool !== undefined;
+    if (!jobId || (!rowId && !rowIds && !filter) || (!hasClassification && reviewState === undefined)) {
+        return res.status(400).send({ error: 'Missing required fields: jobId, rowId (or rowIds or filter), and newCostPool with newCostSubPool or a reviewState.' });
+    }
+    if (reviewState !== undefined && !REVIEW_STATES.includes(reviewState)) {
+        return res.status(400).send({ error: `reviewState must be one of: ${REVIEW_STATES.join(', ')}.` });
+    }
+    if (rowIds !== undefined && (!Array.isArray(rowIds) || rowIds.length === 0 || rowIds.length > MAX_BULK_ROWS || rowIds.some(id => typeof id !== 'string' || !id))) {
+        return res.status(400).send({ error: `rowIds must list between 1 and ${MAX_BULK_ROWS} row IDs.` });
+    }
+    if (filter !== undefined && (typeof filter !== 'object' || filter === null)) {
+        return res.status(400).send({ error: 'filter must be an object.' });
     }
 
-    const rowDocRef = db.collection('tenants').doc(tenantId).collection('jobs').doc(jobId).collection('rows').doc(rowId);
-    const auditTrailRef = rowDocRef.collection('audit_trail');
+    const tenantRef = db.collection('tenants').doc(tenantId);
+    if (hasClassification) {
+        let error;
+        try {
+            error = await validateClassification(tenantRef, jobId, newCostPool, newCostSubPool);
+        } catch (e) {
+            if (e.status) {
+                return res.status(e.status).send({ error: e.message });
+            }
+            console.error(`Error checking the classification for job ${jobId}:`, e);
+            return res.status(500).send({ error: 'An internal error occurred.', details: e.message });
+        }
+        if (error) {
+            return res.status(400).send({ error });
+        }
+    }
+    const edit = hasClassification ? { email, newCostPool, newCostSubPool, reviewState } : { email, reviewState };
+    const emitRowsEdited = (editedRowIds, rowsUpdated) => enqueueWebhookEvent(tenantRef, 'row.edited', {
+        jobId,
+        rowIds: editedRowIds,
+        rowsUpdated,
+        changes: {
+            ...(hasClassification ? { cost_pool: newCostPool, cost_sub_pool: newCostSubPool } : {}),
+            ...(reviewState !== undefined ? { review_state: reviewState } : {}),
+        },
+        editedBy: email,
+    });
 
-    try {
-        await db.runTransaction(async (transaction) => {
-            const rowDoc = await transaction.get(rowDocRef);
-            if (!rowDoc.exists) {
-                throw new Error("Row document not found.");
+    if (rowId) {
+        try {
+            if (await applyEdits(tenantRef, jobId, [rowId], edit) > 0) {
+                await emitRowsEdited([rowId], 1);
             }
-            
-            const oldData = rowDoc.data();
-            const updates = {};
-            const auditEvents = [];
-
-            // Check if cost_pool has changed
-            if (oldData.cost_pool !== newCostPool) {
-                updates.cost_pool = newCostPool;
-                auditEvents.push({
-                    field: 'cost_pool',
-                    oldValue: oldData.cost_pool,
-                    newValue: newCostPool,
-                });
+            return res.status(200).send({ message: 'Update successful.' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).send({ error: error.message });
             }
+            console.error(`Error updating row ${rowId} for job ${jobId}:`, error);
+            return res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+        }
+    }
 
-            // Check if cost_sub_pool has changed
-            if (oldData.cost_sub_pool !== newCostSubPool) {
-                updates.cost_sub_pool = newCostSubPool;
-                 auditEvents.push({
-                    field: 'cost_sub_pool',
-                    oldValue: oldData.cost_sub_pool,
-                    newValue: newCostSubPool,
-                });
+    // Bulk edits commit in chunks; each chunk is all-or-nothing.
+    let targetRowIds = rowIds ? [...new Set(rowIds)] : null;
+    let rowsUpdated = 0;
+    // Rows of the chunks committed so far, for the webhook event.
+    const committedRowIds = [];
+    try {
+        if (!targetRowIds) {
+            targetRowIds = await queryFilteredRowIds(tenantRef.collection('jobs').doc(jobId), filter);
+            if (targetRowIds.length > MAX_BULK_ROWS) {
+                return res.status(400).send({ error: `The filter matches ${targetRowIds.length} rows; narrow it to at most ${MAX_BULK_ROWS}.` });
             }
+        }
 
-            // If there are any changes, update the document and create audit records
-            if (Object.keys(updates).length > 0) {
-                updates.manually_edited = true; // Flag that this row has been changed
-                transaction.update(rowDocRef, updates);
-
-                const timestamp = admin.firestore.FieldValue.serverTimestamp();
-                for (const event of auditEvents) {
-                     transaction.set(auditTrailRef.doc(), {
-                        changedBy: email,
-                        timestamp: timestamp,
-                        ...event
-                    });
-                }
-            }
+        for (let i = 0; i < targetRowIds.length; i += BULK_CHUNK_SIZE) {
+            const chunk = targetRowIds.slice(i, i + BULK_CHUNK_SIZE);
+            rowsUpdated += await applyEdits(tenantRef, jobId, chunk, edit);
+            committedRowIds.push(...chunk);
+        }
+        if (rowsUpdated > 0) await emitRowsEdited(committedRowIds, rowsUpdated);
+        res.status(200).send({
+            message: `Updated ${rowsUpdated} of ${targetRowIds.length} rows.`,
+            rowsMatched: targetRowIds.length,
+            rowsUpdated,
         });
-
-        res.status(200).send({ message: 'Update successful.' });
-
     } catch (error) {
-        console.error(`Error updating row ${rowId} for job ${jobId}:`, error);
-        res.status(500).send({ error: 'An internal error occurred.', details: error.message });
+        // Chunks committed before the failure stay edited.
+        if (rowsUpdated > 0) await emitRowsEdited(committedRowIds, rowsUpdated);
+        if (error.status) {
+            return res.status(error.status).send({ error: error.message, rowsUpdated });
+        }
+        console.error(`Error bulk updating rows for job ${jobId}:`, error);
+        res.status(500).send({ error: 'An internal error occurred.', details: error.message, rowsUpdated });
     }
 });
@@ -0,0 +1,46 @@
+/**
+ * apiKeys.js for the HTTP Cloud Functions that accept tenant API keys
+ *
+ * Kept in step with the copies in uploadFile, updateRowClassification and
+ * getJobResults; each function deploys from its own directory, so each
+ * carries one.
+ *
+ * Keys are issued by the manageApiKeys function as
+ * `clk.{tenantId}.{keyId}.{secret}`. Call after `admin.initializeApp()`.
+ */
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { requestIp } = require('./tenancy');
+
+/**
+ * Authenticates a request that carries a tenant API key in the `X-Api-Key`
+ * header (see the manageApiKeys function) and needs `scope`. Resolves to
+ * { caller }, shaped like a decoded ID token, or to the { status, error }
+ * to refuse the request with. Only a hash of each key's secret is stored.
+ * Every accepted request is counted on the key.
+ */
+async function authenticateApiKey(req, scope) {
+    const [prefix, tenantId, keyId, secret, ...rest] = String(req.headers['x-api-key']).split('.');
+    // Firestore IDs never contain '/'; a key with one would address another path.
+    if (prefix !== 'clk' || !tenantId || !keyId || !secret || rest.length > 0 || tenantId.includes('/') || keyId.includes('/')) {
+        return { status: 401, error: 'Invalid API key.' };
+    }
+    const keyDoc = await admin.firestore().collection('tenants').doc(tenantId).collection('api_keys').doc(keyId).get();
+    const key = keyDoc.exists ? keyDoc.data() : null;
+    const secretHash = crypto.createHash('sha256').update(secret).digest();
+    if (!key || key.revokedAt || !crypto.timingSafeEqual(Buffer.from(key.secretHash, 'hex'), secretHash)) {
+        return { status: 401, error: 'Invalid API key.' };
+    }
+    if (!key.scopes.includes(scope)) {
+        return { status: 403, error: `Forbidden: This API key does not have the '${scope}' scope.` };
+    }
+    await keyDoc.ref.update({
+        lastUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastUsedIp: requestIp(req),
+        'usage.requests': admin.firestore.FieldValue.increment(1),
+        [`usage.${scope}`]: admin.firestore.FieldValue.increment(1),
+    });
+    return { caller: { uid: `apiKey:${keyId}`, tenantId, email: `api-key:${key.name}`, role: null, apiKeyId: keyId } };
+}
+
+module.exports = { authenticateApiKey };
@@ -2,8 +2,22 @@
  * index.js for the 'uploadFile' HTTP Cloud Function (Multi-Tenant)
  *
  * This secure function handles file uploads from authenticated users.
- * It verifies the user's role and uses their tenantId to place the file
- * in the correct isolated path, which then triggers the 'processCSV' function.
+ * It verifies the user's role and the selected pipeline, then uses their
+ * tenantId to place the file in the correct isolated path:
+ * `uploads/{tenantId}/{pipelineId}/{jobId}/{filename}`, which then triggers
+ * the processing workflow.
+ *
+ * Every accepted file counts towards the tenant's usage for the month
+ * (`tenants/{tenantId}/usage/{YYYY-MM}`). Once any of the tenant's monthly
+ * quotas is used up, uploads are rejected until the next month or until a
+ * super admin raises it.
+ *
+ * Integrations can upload with a tenant API key that has the `upload` scope
+ * (see the manageApiKeys function) instead of signing in.
+ *
+ * The uploader is passed to the processing job as object metadata
+ * (`uploadedByUid`, `uploadedBy`), so it can email them when the job
+ * completes or fails.
  */
 const { Storage } = require('@google-cloud/storage');
 const Busboy = require('busboy');
@@ -11,18 +25,39 @@ const path = require('path');
 const os = require('os');
 const fs = require('fs');
 const admin = require('firebase-admin');
+const { authenticateApiKey } = require('./apiKeys');
 
 // Initialize clients
 admin.initializeApp();
 const auth = admin.auth();
+const db = admin.firestore();
 const storage = new Storage();
 const bucket = storage.bucket('clarity-data'); // Your target bucket
 
+// File types the processing job can read.
+const SUPPORTED_EXTENSIONS = ['.csv', '.tsv', '.txt', '.xlsx', '.json', '.ndjson', '.jsonl'];
+// Metrics a tenant quota can limit (see the processing job's usage.js).
+const QUOTA_METRICS = ['files', 'rows', 'aiCalls', 'tokens'];
+
+/**
+ * The first of the tenant's quotas that is used up, or that one more file
+ * would exceed, as { metric, limit, used }; null when an upload is allowed.
+ */
+function findExhaustedQuota(quotas, usage) {
+    for (const metric of QUOTA_METRICS) {
+        const limit = quotas?.[metric];
+        if (limit === undefined || limit === null) continue;
+        const used = metric === 'tokens' ? (usage.inputTokens || 0) + (usage.outputTokens || 0) : usage[metric] || 0;
+        if (used >= limit) return { metric, limit, used };
+    }
+    return null;
+}
+
 exports.uploadFile = (req, res) => {
     // Set CORS headers for browser access
     res.set('Access-Control-Allow-Origin', '*');
     res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Api-Key');
 
     if (req.method === 'OPTIONS') {
         return res.status(204).send('');
@@ -35,28 +70,90 @@ exports.uploadFile = (req, res) => {
     // Wrap main logic in a promise to handle async operations
     return new Promise(async (resolve, reject) => {
         // --- Authentication and Authorization ---
-        const idToken = req.headers.authorization?.split('Bearer ')[1];
-        if (!idToken) {
-            res.status(401).send({ error: 'Unauthorized: No token provided.' });
-            return reject(new Error('No token provided.'));
+        // Users sign in with Firebase; integrations send an API key with the 'upload' scope.
+        let caller;
+        if (req.headers['x-api-key']) {
+            let result;
+            try {
+                result = await authenticateApiKey(req, 'upload');
+            } catch (error) {
+                console.error('Error verifying an API key:', error);
+                return reject(error);
+            }
+            if (!result.caller) {
+                return reject(res.status(result.status).send({ error: result.error }));
+            }
+            caller = result.caller;
+        } else {
+            const idToken = req.headers.authorization?.split('Bearer ')[1];
+            if (!idToken) {
+                res.status(401).send({ error: 'Unauthorized: No token provided.' });
+                return reject(new Error('No token provided.'));
+            }
+
+            try {
+                caller = await auth.verifyIdToken(idToken);
+            } catch (error) {
+                return reject(res.status(401).send({ error: 'Invalid token.' }));
+            }
+
+            if (!caller.tenantId || (caller.role !== 'admin' && caller.role !== 'uploader')) {
+                return reject(res.status(403).send({ error: 'Forbidden' }));
+            }
+        }
+
+        const { tenantId } = caller;
+
+        // --- File Handling ---
+        const { jobId, pipelineId } = req.query;
+        if (!jobId || !pipelineId) {
+            return reject(res.status(400).send({ error: 'A jobId and pipelineId are required.' }));
+        }
+        // Both become Firestore document IDs and parts of the object path, so neither may hold a '/'.
+        if (typeof jobId !== 'string' || typeof pipelineId !== 'string' || jobId.includes('/') || pipelineId.includes('/')) {
+            return reject(res.status(400).send({ error: 'jobId and pipelineId must be single IDs without a "/".' }));
         }
 
-        let decodedToken;
+        // The tenant must not be suspended or out of quota, and the pipeline must exist within it, before we accept the file.
+        const period = new Date().toISOString().slice(0, 7);
+        const usageDocRef = db.collection('tenants').doc(tenantId).collection('usage').doc(period);
+        let tenantDoc;
+        let pipelineDoc;
+        let usageDoc;
         try {
-            decodedToken = await auth.verifyIdToken(idToken);
+            const tenantRef = db.collection('tenants').doc(tenantId);
+            [tenantDoc, pipelineDoc, usageDoc] = await Promise.all([
+                tenantRef.get(),
+                tenantRef.collection('pipelines').doc(pipelineId).get(),
+                usageDocRef.get(),
+            ]);
         } catch (error) {
-            return reject(res.status(401).send({ error: 'Invalid token.' }));
+            console.error(`Error loading pipeline ${pipelineId} for tenant ${tenantId}:`, error);
+            return reject(error);
         }
-
-        const { tenantId, role } = decodedToken;
-        if (!tenantId || (role !== 'admin' && role !== 'uploader')) {
-            return reject(res.status(403).send({ error: 'Forbidden' }));
+        if (tenantDoc.exists && ['suspended', 'deleting'].includes(tenantDoc.data().status)) {
+            return reject(res.status(403).send({ error: 'Forbidden: This tenant is suspended. Uploads are not accepted.' }));
+        }
+        const exhausted = findExhaustedQuota(tenantDoc.exists ? tenantDoc.data().quotas : null, usageDoc.exists ? usageDoc.data() : {});
+        if (exhausted) {
+            return reject(res.status(429).send({
+                error: `This tenant's monthly ${exhausted.metric} quota (${exhausted.limit}) is used up. Uploads are not accepted until it is raised or the month ends.`,
+                quota: { ...exhausted, period },
+            }));
+        }
+        if (!pipelineDoc.exists) {
+            return reject(res.status(404).send({ error: `Pipeline '${pipelineId}' not found.` }));
         }
 
-        // --- File Handling ---
-        const jobId = req.query.jobId;
-        if (!jobId) {
-            return reject(res.status(400).send({ error: 'A jobId is required.' }));
+        // Optional reader settings, passed to the processing job as object metadata.
+        const readerOptions = {};
+        for (const option of ['sheet', 'delimiter', 'encoding']) {
+            if (typeof req.query[option] === 'string' && req.query[option] !== '') {
+                readerOptions[option] = req.query[option];
+            }
+        }
+        if (readerOptions.delimiter && [...readerOptions.delimiter].length !== 1) {
+            return reject(res.status(400).send({ error: 'The delimiter must be a single character.' }));
         }
 
         const busboy = Busboy({ headers: req.headers });
@@ -86,14 +183,27 @@ exports.uploadFile = (req, res) => {
             }
 
             const { filepath, originalFilename } = uploadedFile;
+            if (!SUPPORTED_EXTENSIONS.includes(path.extname(originalFilename).toLowerCase())) {
+                fs.unlinkSync(filepath);
+                res.status(400).json({ error: `Unsupported file type. Supported types are: ${SUPPORTED_EXTENSIONS.join(', ')}.` });
+                return reject(new Error('Unsupported file type.'));
+            }
             // Construct the isolated, tenant-specific destination path
-            const gcsPath = `uploads/${tenantId}/${jobId}/${originalFilename}`;
+            const gcsPath = `uploads/${tenantId}/${pipelineId}/${jobId}/${originalFilename}`;
 
             try {
-                await bucket.upload(filepath, { destination: gcsPath });
+                await bucket.upload(filepath, {
+                    destination: gcsPath,
+                    metadata: { metadata: { ...readerOptions, uploadedByUid: caller.uid, uploadedBy: caller.email || '' } },
+                });
                 fs.unlinkSync(filepath);
+                await usageDocRef.set({
+                    period,
+                    files: admin.firestore.FieldValue.increment(1),
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+                }, { merge: true });
 
-                res.status(200).json({ jobId });
+                res.status(200).json({ jobId, pipelineId });
                 resolve();
             } catch (error) {
                 console.error(`Error uploading to GCS for job ${jobId}:`, error);
@@ -0,0 +1,63 @@
+/**
+ * tenancy.js for the tenant-scoped HTTP Cloud Functions
+ *
+ * Kept in step with the copies in the other functions that require it; each
+ * function deploys from its own directory, so each carries one.
+ *
+ * Whether a tenant may be used, and the administrative audit log that the
+ * admin and configuration functions append to. Call after
+ * `admin.initializeApp()`.
+ */
+
+const admin = require('firebase-admin');
+const net = require('net');
+
+/**
+ * Whether a super admin has suspended the tenant, or is deleting it. Its
+ * users are refused until it is reactivated.
+ */
+async function isTenantSuspended(tenantId) {
+    const tenantDoc = await admin.firestore().collection('tenants').doc(tenantId).get();
+    return tenantDoc.exists && ['suspended', 'deleting'].includes(tenantDoc.data().status);
+}
+
+/**
+ * The client's IP address: the first X-Forwarded-For entry when it is a valid
+ * IP address, otherwise the address the request arrived from, otherwise null.
+ * The header is client-supplied, so nothing else from it is stored.
+ */
+function requestIp(req) {
+    const forwarded = req.headers['x-forwarded-for']?.split(',')[0].trim();
+    if (forwarded && net.isIP(forwarded)) return forwarded;
+    return req.ip && net.isIP(req.ip) ? req.ip : null;
+}
+
+/**
+ * Appends an entry to the tenant's administrative audit log
+ * (`tenants/{tenantId}/audit_log`). A tenant's deletion goes to the
+ * platform-wide `audit_log` instead, as the tenant's own log is deleted with
+ * it. Entries are only ever added; the getAuditLog function reads them.
+ */
+function recordAudit(req, decodedToken, tenantId, { action, target, before = null, after = null }) {
+    const db = admin.firestore();
+    const logRef = action === 'tenant.delete'
+        ? db.collection('audit_log')
+        : db.collection('tenants').doc(tenantId).collection('audit_log');
+    return logRef.add({
+        tenantId,
+        action,
+        actor: {
+            uid: decodedToken.uid,
+            email: decodedToken.email || null,
+            role: decodedToken.superAdmin === true ? 'superAdmin' : decodedToken.role || null,
+        },
+        target,
+        before,
+        after,
+        ip: requestIp(req),
+        userAgent: req.headers['user-agent'] || null,
+        timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+module.exports = { isTenantSuspended, recordAudit, requestIp };